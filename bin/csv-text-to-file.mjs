@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+// Command line front end of csv-text-to-file.mjs: validate or clean CSV
+// files (or standard input) the way the page does.
+// Exit status: 0 when the input is valid, 1 on validation errors, 2 on
+// usage or I/O errors.
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { core, validate, clean, decode, encode } from '../csv-text-to-file.mjs';
+
+const USAGE = `Usage: csv-text-to-file <command> [input] [options]
+
+Commands:
+  validate                 Check the input and list its errors
+  clean                    Check the input, run the chosen cleanups and write the result
+
+The input is a file, or standard input when it is missing or "-".
+
+Input:
+  --delimiter <name>       comma, semicolon, tab, pipe or a character (default: detected)
+  --quote <name>           double, single or a character (default: detected)
+  --header, --no-header    Whether the first row is a header (default: detected)
+  --input-encoding <enc>   Encoding of the input, e.g. windows-1252 (default: detected)
+  --schema <file>          Also check the columns against a schema exported from the page
+  --errors <text|json>     How to print the error list (default: text)
+  --json                   Same as --errors json
+
+Cleanups (clean; they run in the page's default order):
+  --unicode                Repair Unicode text
+  --smart-quotes           Fix smart quotes, dashes and ellipses
+  --trim                   Trim field whitespace
+  --clean-headers          Clean up header names
+  --remove-empty           Remove empty rows
+  --dedupe                 Remove duplicate rows
+  --normalize              Normalize delimiters to commas
+  --preset <file>          Run a cleanup preset exported from the page instead
+
+Output (clean):
+  -o, --output <file>      Write to a file instead of standard output
+  --format <format>        ${Object.keys(core.EXPORT_FORMATS).join(', ')} (default: csv)
+  --out-delimiter <name>   Delimiter of the result (default: the input's)
+  --quoting <policy>       ${core.QUOTING_POLICIES.join(', ')} (default: minimal)
+  --lf                     End lines with LF instead of CRLF
+  --encoding <enc>         ${core.OUTPUT_ENCODINGS.join(', ')} (default: utf-8)
+  --bom                    Start the file with a byte order mark (CSV and TSV)
+  --force                  Write the result even when the input has errors
+
+  -h, --help               Show this help`;
+
+// Cleanup flags and the steps they enable
+const CLEANUP_FLAGS = {
+  unicode: 'repairUnicode',
+  'smart-quotes': 'fixSmartQuotes',
+  trim: 'trimWhitespace',
+  'clean-headers': 'cleanHeaders',
+  'remove-empty': 'removeEmptyRows',
+  dedupe: 'removeDuplicates',
+  normalize: 'normalize'
+};
+
+const OPTIONS = {
+  delimiter: { type: 'string' },
+  quote: { type: 'string' },
+  header: { type: 'boolean' },
+  'no-header': { type: 'boolean' },
+  'input-encoding': { type: 'string' },
+  schema: { type: 'string' },
+  errors: { type: 'string', default: 'text' },
+  json: { type: 'boolean' },
+  preset: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  format: { type: 'string', default: 'csv' },
+  'out-delimiter': { type: 'string' },
+  quoting: { type: 'string', default: 'minimal' },
+  lf: { type: 'boolean' },
+  encoding: { type: 'string', default: 'utf-8' },
+  bom: { type: 'boolean' },
+  force: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  ...Object.fromEntries(Object.keys(CLEANUP_FLAGS).map(flag => [flag, { type: 'boolean' }]))
+};
+
+class UsageError extends Error {}
+
+async function readInput(path) {
+  if (path && path !== '-') return new Uint8Array(await readFile(path));
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return new Uint8Array(Buffer.concat(chunks));
+}
+
+// Error list as the page shows it, one line per error
+function formatErrors(errors) {
+  return errors.map(err => {
+    const where = err.endLine && err.endLine !== err.line ? `Lines ${err.line}-${err.endLine}` : `Line ${err.line}`;
+    const content = err.content.length > 50 ? `${err.content.substring(0, 50)}...` : err.content;
+    return `${where}: ${err.error} - "${content}"`;
+  }).join('\n');
+}
+
+function reportErrors(result, format, stream) {
+  if (format === 'json') {
+    stream.write(JSON.stringify({ valid: result.valid, errors: result.errors }, null, 2) + '\n');
+  } else if (!result.valid) {
+    stream.write(`Found ${result.errors.length} problematic line(s):\n${formatErrors(result.errors)}\n`);
+  }
+}
+
+function getSteps(values) {
+  return core.CLEANUP_STEPS
+    .map(step => step.name)
+    .filter(name => Object.keys(CLEANUP_FLAGS).some(flag => values[flag] && CLEANUP_FLAGS[flag] === name));
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  if (values.help) {
+    process.stdout.write(USAGE + '\n');
+    return 0;
+  }
+
+  const [command, input, ...extra] = positionals;
+  if (command !== 'validate' && command !== 'clean') throw new UsageError(command ? `Unknown command "${command}"` : 'Missing command');
+  if (extra.length) throw new UsageError(`Unexpected argument "${extra[0]}"`);
+  const errorFormat = values.json ? 'json' : values.errors;
+  if (errorFormat !== 'text' && errorFormat !== 'json') throw new UsageError(`Unknown error format "${errorFormat}"`);
+  if (!core.EXPORT_FORMATS[values.format]) throw new UsageError(`Unknown format "${values.format}"`);
+  if (!core.QUOTING_POLICIES.includes(values.quoting)) throw new UsageError(`Unknown quoting "${values.quoting}"`);
+  if (!core.OUTPUT_ENCODINGS.includes(values.encoding)) throw new UsageError(`Unknown encoding "${values.encoding}"`);
+
+  const options = {
+    delimiter: values.delimiter,
+    quote: values.quote,
+    hasHeader: values['no-header'] ? false : values.header ? true : undefined,
+    schema: values.schema ? core.parseSchemaJSON(await readFile(values.schema, 'utf8')) : null
+  };
+  const { text } = decode(await readInput(input), values['input-encoding'] || null);
+
+  const result = await validate(text, options);
+  if (command === 'validate') {
+    reportErrors(result, errorFormat, process.stdout);
+    return result.valid ? 0 : 1;
+  }
+
+  // Standard output may carry the result, so errors go to standard error
+  reportErrors(result, errorFormat, process.stderr);
+  if (!result.valid && !values.force) return 1;
+
+  const steps = values.preset ? core.parsePipelineJSON(await readFile(values.preset, 'utf8')) : getSteps(values);
+  const cleaned = await clean(text, {
+    ...options,
+    steps,
+    format: values.format,
+    output: {
+      delimiter: values['out-delimiter'],
+      quoting: values.quoting,
+      lineEnding: values.lf ? '\n' : '\r\n',
+      encoding: values.encoding
+    }
+  });
+  if (cleaned.problems) process.stderr.write(`Warning: ${cleaned.problems} cell(s) could not be read by the cleanups and were written unchanged\n`);
+  if (cleaned.unmappable) process.stderr.write(`Warning: ${cleaned.unmappable} character(s) cannot be represented in ${values.encoding} and were replaced with "?"\n`);
+
+  const { bytes } = encode(cleaned.text, { encoding: values.encoding, bom: values.bom && core.EXPORT_FORMATS[values.format].allowsBom });
+  if (values.output) {
+    await writeFile(values.output, bytes);
+  } else {
+    process.stdout.write(bytes);
+  }
+  return result.valid ? 0 : 1;
+}
+
+main(process.argv.slice(2)).then(
+  code => {
+    process.exitCode = code;
+  },
+  err => {
+    process.stderr.write(`csv-text-to-file: ${err && err.message ? err.message : String(err)}\n`);
+    if (err instanceof UsageError || String(err && err.code).startsWith('ERR_PARSE_ARGS')) process.stderr.write('Run csv-text-to-file --help for usage.\n');
+    process.exitCode = 2;
+  }
+);
@@ -0,0 +1,3851 @@
+// CSV parsing, validation and cleanup, free of any DOM access.
+// Loaded by index.html before script.js, and by csv-worker.js so large
+// documents can be processed off the main thread.
+
+// Utility: ensure the filename ends with the export format's extension
+function ensureExtension(name, extension = "csv") {
+  if (!name) return `export.${extension}`;
+  name = name.trim();
+  if (name === "") return `export.${extension}`;
+  // Remove trailing dots/spaces (Windows file safety)
+  name = name.replace(/[ .]+$/g, "");
+  if (name.toLowerCase().endsWith(`.${extension}`)) return name;
+  // Swap the extension of another export format, append to anything else
+  const otherExtension = Object.values(EXPORT_FORMATS)
+    .map(format => format.extension)
+    .find(ext => name.toLowerCase().endsWith(`.${ext}`));
+  if (otherExtension) name = name.slice(0, -otherExtension.length - 1);
+  return `${name}.${extension}`;
+}
+
+// Default dialect: comma-separated, double-quoted fields
+const DEFAULT_DIALECT = { delimiter: ',', quote: '"' };
+
+// Document-level CSV parser (RFC 4180, with the same lenient quote handling the
+// editor has always had: a quote anywhere in a field toggles quoting).
+// Works on the whole text so quoted fields may contain line breaks.
+// The dialect ({ delimiter, quote }) defaults to comma and double quote.
+// Each record is:
+//   { fields, line, endLine, start, end, isEmpty, unterminated }
+// and each field is { value, wasQuoted, line, column, start, end }.
+// Lines and columns are 1-based; start/end are character offsets into text
+// (end excludes the line terminator).
+
+// Parser position, advanced by readCSVRecord. `offset` is added to start/end
+// so text read in chunks can still report positions in the whole document.
+function createParseCursor(line = 1, offset = 0) {
+  return { pos: 0, line, lineStart: 0, offset };
+}
+
+// Read one record starting at cursor.pos. When `final` is false and the text
+// runs out before the record's line break, returns null and leaves the cursor
+// untouched so the caller can retry once more text has arrived.
+function readCSVRecord(text, cursor, dialect = DEFAULT_DIALECT, final = true) {
+  const delimiter = dialect.delimiter || DEFAULT_DIALECT.delimiter;
+  const quote = dialect.quote || DEFAULT_DIALECT.quote;
+  const length = text.length;
+  const offset = cursor.offset;
+  let pos = cursor.pos;
+  let line = cursor.line;
+  let lineStart = cursor.lineStart;
+  const record = { fields: [], line, endLine: line, start: pos + offset, end: pos + offset, isEmpty: false, unterminated: false };
+
+  while (true) {
+    // Read one field
+    const field = { value: '', wasQuoted: false, line, column: pos - lineStart + 1, start: pos + offset, end: pos + offset };
+    let value = '';
+    let chunkStart = pos;
+    let inQuotes = false;
+
+    while (pos < length) {
+      const ch = text[pos];
+      if (ch === quote) {
+        value += text.slice(chunkStart, pos);
+        if (inQuotes && text[pos + 1] === quote) {
+          // Escaped quote
+          value += quote;
+          pos += 2;
+        } else {
+          inQuotes = !inQuotes;
+          field.wasQuoted = true;
+          pos++;
+        }
+        chunkStart = pos;
+      } else if (inQuotes) {
+        // Delimiters and line breaks inside quotes are part of the value
+        if (ch === '\n') {
+          line++;
+          lineStart = pos + 1;
+        }
+        pos++;
+      } else if (ch === delimiter || ch === '\n' || (ch === '\r' && text[pos + 1] === '\n')) {
+        break;
+      } else {
+        pos++;
+      }
+    }
+
+    // The record may continue in text that has not been read yet
+    if (pos >= length && !final) return null;
+
+    value += text.slice(chunkStart, pos);
+    field.value = value;
+    field.end = pos + offset;
+    record.fields.push(field);
+    if (inQuotes) record.unterminated = true;
+
+    if (pos < length && text[pos] === delimiter) {
+      pos++;
+      continue;
+    }
+
+    // End of record: either a line break or the end of the text
+    record.end = pos + offset;
+    record.endLine = line;
+    record.isEmpty = record.fields.length === 1 && !field.wasQuoted && field.value.trim() === '';
+
+    if (pos < length) {
+      pos += text[pos] === '\r' ? 2 : 1;
+      line++;
+      lineStart = pos;
+    }
+    cursor.pos = pos;
+    cursor.line = line;
+    cursor.lineStart = lineStart;
+    return record;
+  }
+}
+
+// The empty line left after a trailing line break, like split() would give
+function createEmptyRecord(cursor) {
+  const pos = cursor.pos + cursor.offset;
+  return {
+    fields: [{ value: '', wasQuoted: false, line: cursor.line, column: 1, start: pos, end: pos }],
+    line: cursor.line, endLine: cursor.line, start: pos, end: pos, isEmpty: true, unterminated: false
+  };
+}
+
+// Yield the records of a complete text one at a time
+function* iterateCSVRecords(text, dialect = DEFAULT_DIALECT) {
+  if (!text) return;
+  const cursor = createParseCursor();
+  let record = null;
+  while (cursor.pos < text.length) {
+    record = readCSVRecord(text, cursor, dialect);
+    yield record;
+  }
+  // The last record ended with a line break (not inside an open quote)
+  if (record && record.end < text.length) {
+    yield createEmptyRecord(cursor);
+  }
+}
+
+// Parse a complete text. Returns { records }.
+function parseCSV(text, dialect = DEFAULT_DIALECT) {
+  return { records: Array.from(iterateCSVRecords(text, dialect)) };
+}
+
+// Read the first `count` non-empty records without parsing the rest of the text
+function parseLeadingRecords(text, count, dialect = DEFAULT_DIALECT) {
+  const records = [];
+  for (const record of iterateCSVRecords(text, dialect)) {
+    if (records.length >= count) break;
+    if (!record.isEmpty) records.push(record);
+  }
+  return records;
+}
+
+// Parse a single line of CSV text into { value, wasQuoted } fields
+function parseCSVLine(line, dialect = DEFAULT_DIALECT) {
+  const { records } = parseCSV(line, dialect);
+  return records.length ? records[0].fields : [{ value: '', wasQuoted: false }];
+}
+
+// Original source text of a record (may span several lines)
+function getRecordText(text, record) {
+  return text.slice(record.start, record.end);
+}
+
+// Find the record whose source span contains the given character offset
+function findRecordAtOffset(records, offset) {
+  for (const record of records) {
+    if (offset <= record.end) return record;
+  }
+  return records.length ? records[records.length - 1] : null;
+}
+
+// CSV validation and escaping functions
+function escapeCSVValue(value, forceQuote = false, dialect = DEFAULT_DIALECT) {
+  const delimiter = dialect.delimiter || DEFAULT_DIALECT.delimiter;
+  const quote = dialect.quote || DEFAULT_DIALECT.quote;
+  // If value contains the delimiter, quote, newline, or carriage return, wrap in quotes
+  // OR if forceQuote is true
+  if (forceQuote || value.includes(delimiter) || value.includes(quote) || value.includes('\n') || value.includes('\r')) {
+    // Escape existing quotes by doubling them
+    const escaped = value.split(quote).join(quote + quote);
+    return `${quote}${escaped}${quote}`;
+  }
+  return value;
+}
+
+// Quoting policies for written output:
+// - minimal: quote only fields that need it (delimiter, quote or line break inside)
+// - all: quote every field
+// - nonnumeric: quote every field that is not a number
+const QUOTING_POLICIES = ['minimal', 'all', 'nonnumeric'];
+
+function shouldForceQuote(value, quoting) {
+  if (quoting === 'all') return true;
+  if (quoting === 'nonnumeric') return !isNumericValue(value);
+  return false;
+}
+
+// Serialize one row of values using the dialect's delimiter, quote and quoting policy
+function formatCSVRow(values, dialect = DEFAULT_DIALECT) {
+  const quoting = dialect.quoting || 'minimal';
+  return values
+    .map(value => escapeCSVValue(value, shouldForceQuote(value, quoting), dialect))
+    .join(dialect.delimiter || DEFAULT_DIALECT.delimiter);
+}
+
+// Serialize parsed records with an output dialect:
+// { delimiter, quote, quoting, lineEnding }. Empty records stay empty lines.
+function serializeRecords(records, dialect = DEFAULT_DIALECT) {
+  const lineEnding = dialect.lineEnding || '\r\n';
+  return records
+    .map(record => record.isEmpty ? '' : formatCSVRow(record.fields.map(field => field.value), dialect))
+    .join(lineEnding);
+}
+
+// Dialect sniffing
+const DELIMITERS = { comma: ',', semicolon: ';', tab: '\t', pipe: '|' };
+const QUOTES = { double: '"', single: "'" };
+const SNIFF_SAMPLE_CHARS = 64 * 1024;
+const SNIFF_SAMPLE_RECORDS = 50;
+
+function isNumericValue(value) {
+  return /^[-+]?(\d+([.,]\d+)*|[.,]\d+)([eE][-+]?\d+)?%?$/.test(value.trim());
+}
+
+// Guess whether the first row is a header by comparing it with the data
+// rows below it: a column whose data all has one type (numbers, dates or
+// booleans, see getValueType) or one length but whose first cell does not
+// counts as evidence for a header, and a first cell that fits in as evidence
+// against.
+function sniffHeader(records) {
+  const rows = records.filter(record => !record.isEmpty).slice(0, 21).map(record => record.fields.map(field => field.value));
+  if (rows.length < 2) return true;
+  
+  const header = rows[0];
+  const dataRows = rows.slice(1);
+  let votes = 0;
+  // Integers and decimals are one type here
+  const typeOf = cell => {
+    const type = getValueType(cell);
+    return type === 'integer' ? 'decimal' : type;
+  };
+  
+  for (let col = 0; col < header.length; col++) {
+    const cells = dataRows.map(row => row[col]).filter(cell => cell !== undefined && cell.trim() !== '');
+    if (cells.length === 0) continue;
+    
+    const types = Array.from(new Set(cells.map(typeOf)));
+    if (types.length === 1 && types[0] !== 'text') {
+      votes += typeOf(header[col]) === types[0] ? -1 : 1;
+    } else if (cells.every(cell => cell.length === cells[0].length)) {
+      votes += header[col].length !== cells[0].length ? 1 : -1;
+    }
+  }
+  
+  // With no evidence either way, keep assuming the first row is a header
+  return votes >= 0;
+}
+
+// Score one candidate dialect on a sample: the share of rows that have the
+// most common field count, penalised by rows with unbalanced quotes.
+function scoreDialect(records) {
+  const rows = records.filter(record => !record.isEmpty);
+  if (rows.length === 0) return { score: 0, columns: 0 };
+  
+  const frequencies = new Map();
+  let unterminated = 0;
+  for (const record of rows) {
+    frequencies.set(record.fields.length, (frequencies.get(record.fields.length) || 0) + 1);
+    if (record.unterminated) unterminated++;
+  }
+  
+  let columns = 0;
+  let modeCount = 0;
+  for (const [count, frequency] of frequencies) {
+    if (frequency > modeCount || (frequency === modeCount && count > columns)) {
+      columns = count;
+      modeCount = frequency;
+    }
+  }
+  if (columns < 2) return { score: 0, columns };
+  
+  return { score: (modeCount - unterminated) / rows.length, columns };
+}
+
+// Detect delimiter, quote character and header presence from a sample of the text.
+// Pass { delimiter } and/or { quote } to pin either one and only sniff the rest.
+function sniffDialect(text, overrides = {}) {
+  const truncated = text.length > SNIFF_SAMPLE_CHARS;
+  const sample = truncated ? text.slice(0, SNIFF_SAMPLE_CHARS) : text;
+  const delimiters = overrides.delimiter ? [overrides.delimiter] : Object.values(DELIMITERS);
+  const quotes = overrides.quote ? [overrides.quote] : Object.values(QUOTES);
+  
+  let best = null;
+  for (const quote of quotes) {
+    for (const delimiter of delimiters) {
+      // A truncated sample may end mid-record, so only complete records count
+      const records = [];
+      const cursor = createParseCursor();
+      while (records.length < SNIFF_SAMPLE_RECORDS && cursor.pos < sample.length) {
+        const record = readCSVRecord(sample, cursor, { delimiter, quote }, !truncated);
+        if (!record) break;
+        records.push(record);
+      }
+      
+      const { score } = scoreDialect(records);
+      // Candidates are listed in order of preference, so ties keep the earlier one
+      if (!best || score > best.score) {
+        best = { delimiter, quote, score, records };
+      }
+    }
+  }
+  
+  return {
+    delimiter: best.delimiter,
+    quote: best.quote,
+    hasHeader: overrides.hasHeader !== undefined ? overrides.hasHeader : sniffHeader(best.records),
+    confidence: best.score
+  };
+}
+
+// Human readable summary such as "semicolon-separated, double quotes"
+function describeDialect(dialect) {
+  const quoteName = Object.keys(QUOTES).find(key => QUOTES[key] === dialect.quote) || dialect.quote;
+  return `${describeDelimiter(dialect.delimiter)}, ${quoteName} quotes`;
+}
+
+function describeDelimiter(delimiter) {
+  const delimiterName = Object.keys(DELIMITERS).find(key => DELIMITERS[key] === delimiter) || `"${delimiter}"`;
+  return `${delimiterName}-separated`;
+}
+
+// Function to detect if input appears to be CSV format
+// Pass already parsed records to avoid parsing the text again.
+function detectCSVFormat(text, dialect = DEFAULT_DIALECT, records = null) {
+  if (!text || !text.trim()) return true; // Empty text is considered valid
+  
+  records = records ? records.filter(record => !record.isEmpty).slice(0, 10) : parseLeadingRecords(text, 10, dialect);
+  if (records.length === 0) return true;
+  
+  // Check for basic CSV indicators
+  let hasDelimiters = false;
+  let hasConsistentStructure = true;
+  let expectedDelimiterCount = null;
+  let validCSVRecords = 0;
+  const sample = records.slice(0, 10); // Check first 10 records
+  
+  for (const record of sample) {
+    const delimiterCount = record.fields.length - 1;
+    
+    if (delimiterCount > 0) {
+      hasDelimiters = true;
+      if (!record.unterminated) {
+        validCSVRecords++;
+      }
+      
+      // Check for consistent delimiter count (allowing some variation for headers vs data)
+      if (expectedDelimiterCount === null) {
+        expectedDelimiterCount = delimiterCount;
+      } else if (Math.abs(delimiterCount - expectedDelimiterCount) > 2) {
+        // Allow some variation but not too much
+        hasConsistentStructure = false;
+      }
+    } else if (expectedDelimiterCount !== null && expectedDelimiterCount > 0) {
+      // Record has no delimiters but we expected some based on previous records
+      hasConsistentStructure = false;
+    }
+  }
+  
+  // Heuristics to determine if this looks like CSV:
+  // 1. Must have some delimiters
+  // 2. Most records should parse successfully
+  // 3. Should have some structural consistency
+  const csvLikelihood = hasDelimiters &&
+                       (validCSVRecords / sample.length) > 0.5 &&
+                       hasConsistentStructure;
+  
+  return csvLikelihood;
+}
+
+// Validate a single parsed record and return an error if found.
+// Callers that only hold the record's own text pass it as `content`.
+function validateRecord(text, record, expectedColumnCount, content = getRecordText(text, record)) {
+  if (record.isEmpty) return null;
+  
+  if (record.unterminated) {
+    const openField = record.fields[record.fields.length - 1];
+    return {
+      line: record.line,
+      endLine: record.endLine,
+      column: openField.column,
+      start: record.start,
+      end: record.end,
+      content: content,
+      error: 'Unmatched quotes detected',
+      type: 'unmatched_quotes'
+    };
+  }
+  
+  // Check for column count mismatch
+  if (expectedColumnCount !== null && record.fields.length !== expectedColumnCount) {
+    return {
+      line: record.line,
+      endLine: record.endLine,
+      start: record.start,
+      end: record.end,
+      content: content,
+      error: `Column count mismatch: expected ${expectedColumnCount}, got ${record.fields.length}`,
+      type: 'column_mismatch',
+      expectedCount: expectedColumnCount,
+      actualCount: record.fields.length
+    };
+  }
+  
+  return null;
+}
+
+// Blank and repeated names in a header record, one error per offending column.
+// Names are compared after trimming.
+function validateHeaderRecord(record, content) {
+  const errors = [];
+  const firstColumn = new Map();
+  record.fields.forEach((field, index) => {
+    const name = field.value.trim();
+    const headerError = (type, message) => ({
+      line: field.line,
+      endLine: record.endLine,
+      column: field.column,
+      start: field.start,
+      end: field.end,
+      content,
+      error: message,
+      type,
+      columnName: name
+    });
+    if (name === '') {
+      errors.push(headerError('empty_header', `Header of column ${index + 1} is empty`));
+    } else if (firstColumn.has(name)) {
+      errors.push(headerError('duplicate_header', `Header "${name}" of column ${index + 1} repeats column ${firstColumn.get(name) + 1}`));
+    } else {
+      firstColumn.set(name, index);
+    }
+  });
+  return errors;
+}
+
+// Enhanced validation that detects column count mismatches
+function validateAndFixCSV(text, dialect = DEFAULT_DIALECT, records = parseCSV(text, dialect).records) {
+  const fixedLines = [];
+  const errors = [];
+  let expectedColumnCount = null;
+  let headerLine = null;
+  
+  // First check if the input appears to be CSV format at all
+  if (!detectCSVFormat(text, dialect, records)) {
+    // If it doesn't look like CSV, mark all non-empty lines as errors
+    const lines = text.split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      if (line.trim()) {
+        errors.push({
+          line: i + 1,
+          content: line,
+          error: 'It seems like the input isn\'t in a valid CSV formatting',
+          type: 'not_csv_format'
+        });
+      }
+      fixedLines.push(line);
+    }
+    
+    return {
+      fixedText: fixedLines.join('\r\n'),
+      errors: errors,
+      expectedColumnCount: null,
+      headerLine: null,
+      isNotCSV: true
+    };
+  }
+  
+  for (const record of records) {
+    const recordText = getRecordText(text, record);
+    if (record.isEmpty) {
+      fixedLines.push(recordText);
+      continue;
+    }
+    
+    // Determine expected column count from first non-empty record (header)
+    if (expectedColumnCount === null && !record.unterminated) {
+      expectedColumnCount = record.fields.length;
+      headerLine = record.line;
+      if (dialect.hasHeader !== false) errors.push(...validateHeaderRecord(record, recordText));
+    }
+    
+    const error = validateRecord(text, record, expectedColumnCount);
+    if (!error) {
+      // Parsed into the correct number of columns, so it's already properly formatted
+      fixedLines.push(recordText);
+      continue;
+    }
+    
+    errors.push(error);
+    
+    if (error.type === 'column_mismatch') {
+      // Simple heuristic: combine excess columns into the last expected column,
+      // or pad with empty columns when there are too few
+      const values = repairRecordValues(record.fields.map(field => field.value), expectedColumnCount, {
+        strategy: 'merge',
+        delimiter: dialect.delimiter
+      });
+      fixedLines.push(formatCSVRow(values, dialect));
+    } else {
+      fixedLines.push(recordText);
+    }
+  }
+  
+  return {
+    fixedText: fixedLines.join('\r\n'),
+    errors: errors,
+    expectedColumnCount: expectedColumnCount,
+    headerLine: headerLine
+  };
+}
+
+// Classify a cell value for type comparisons between rows
+function getValueType(value) {
+  const trimmed = value.trim();
+  if (trimmed === '') return 'empty';
+  if (/^[-+]?\d+$/.test(trimmed)) return 'integer';
+  if (isNumericValue(trimmed)) return 'decimal';
+  if (/^(true|false|yes|no)$/i.test(trimmed)) return 'boolean';
+  if (/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2})?)?/.test(trimmed) || /^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}$/.test(trimmed)) return 'date';
+  return 'text';
+}
+
+// Most common non-empty value type per column, from rows with the expected width
+function profileColumnTypes(records, expectedColumnCount, sampleSize = 200) {
+  const counts = Array.from({ length: expectedColumnCount }, () => ({}));
+  let sampled = 0;
+  for (const record of records) {
+    if (sampled >= sampleSize) break;
+    if (record.isEmpty || record.unterminated || record.fields.length !== expectedColumnCount) continue;
+    sampled++;
+    record.fields.forEach((field, col) => {
+      const type = getValueType(field.value);
+      if (type !== 'empty') counts[col][type] = (counts[col][type] || 0) + 1;
+    });
+  }
+  return counts.map(typeCounts => {
+    const entries = Object.entries(typeCounts).sort((a, b) => b[1] - a[1]);
+    return entries.length ? entries[0][0] : null;
+  });
+}
+
+// Strategies for rows with too many fields:
+// - merge: join the extra fields into column `mergeColumn` (1-based, default last)
+// - drop: discard the extra fields
+// - overflow: keep the expected columns and move the extras into one added column
+// - detect: rejoin at the delimiter that most likely belongs to a value,
+//   judged by how well each candidate row matches the other rows' column types
+// Rows with too few fields are padded with empty values under every strategy.
+const COLUMN_MISMATCH_STRATEGIES = ['merge', 'drop', 'overflow', 'detect'];
+
+function mergeFieldsAt(values, position, extraCount, delimiter) {
+  return [
+    ...values.slice(0, position),
+    values.slice(position, position + extraCount + 1).join(delimiter),
+    ...values.slice(position + extraCount + 1)
+  ];
+}
+
+function detectMergePosition(values, expectedColumnCount, columnTypes, delimiter) {
+  const extraCount = values.length - expectedColumnCount;
+  let bestPosition = expectedColumnCount - 1;
+  let bestScore = -Infinity;
+  for (let position = 0; position < expectedColumnCount; position++) {
+    const candidate = mergeFieldsAt(values, position, extraCount, delimiter);
+    let score = 0;
+    candidate.forEach((value, col) => {
+      const type = getValueType(value);
+      if (columnTypes[col] && type !== 'empty' && type === columnTypes[col]) score++;
+    });
+    // "Smith, John" style fragments hint that the delimiter was part of the text
+    for (let i = position + 1; i <= position + extraCount; i++) {
+      if (/^\s/.test(values[i])) score += 0.5;
+    }
+    // Prefer later positions on ties, matching the default merge into the last column
+    if (score >= bestScore) {
+      bestScore = score;
+      bestPosition = position;
+    }
+  }
+  return bestPosition;
+}
+
+function repairRecordValues(values, expectedColumnCount, options = {}) {
+  const strategy = options.strategy || 'merge';
+  const delimiter = options.delimiter || DEFAULT_DIALECT.delimiter;
+
+  if (values.length <= expectedColumnCount) {
+    const padded = values.slice();
+    while (padded.length < expectedColumnCount) padded.push('');
+    return padded;
+  }
+
+  const extraCount = values.length - expectedColumnCount;
+  switch (strategy) {
+    case 'drop':
+      return values.slice(0, expectedColumnCount);
+    case 'overflow':
+      return [...values.slice(0, expectedColumnCount), values.slice(expectedColumnCount).join(delimiter)];
+    case 'detect': {
+      const position = detectMergePosition(values, expectedColumnCount, options.columnTypes || [], delimiter);
+      return mergeFieldsAt(values, position, extraCount, delimiter);
+    }
+    default: {
+      const column = Math.min(Math.max((options.mergeColumn || expectedColumnCount) - 1, 0), expectedColumnCount - 1);
+      return mergeFieldsAt(values, column, extraCount, delimiter);
+    }
+  }
+}
+
+// Fix for an unterminated quote: close it at the end of its line when it opened
+// the field, otherwise treat the stray quote as literal text by escaping the field.
+function repairUnterminatedRecord(text, record, dialect) {
+  const quote = dialect.quote || DEFAULT_DIALECT.quote;
+  const delimiter = dialect.delimiter || DEFAULT_DIALECT.delimiter;
+  const field = record.fields[record.fields.length - 1];
+  const lineEnd = text.indexOf('\n', field.start);
+  let end = lineEnd === -1 ? text.length : lineEnd;
+  if (text[end - 1] === '\r') end--;
+
+  if (text[field.start] === quote) {
+    return { start: record.start, end, after: text.slice(record.start, end) + quote };
+  }
+
+  const delimiterIndex = text.indexOf(delimiter, field.start);
+  const fieldEnd = delimiterIndex !== -1 && delimiterIndex < end ? delimiterIndex : end;
+  const before = text.slice(record.start, field.start);
+  const rawField = text.slice(field.start, fieldEnd);
+  const rest = text.slice(fieldEnd, end);
+  return { start: record.start, end, after: before + escapeCSVValue(rawField, true, dialect) + rest };
+}
+
+const REPAIRABLE_ERROR_TYPES = ['column_mismatch', 'unmatched_quotes', 'empty_header', 'duplicate_header'];
+
+// Propose a fix for every repairable error. Each repair replaces the source
+// span [start, end) with `after`; `before` is the original text for diffing.
+// Repairs that move extras into the overflow column are flagged `overflow`.
+function buildRepairs(text, errors, dialect = DEFAULT_DIALECT, options = {}) {
+  const { records } = parseCSV(text, dialect);
+  const byStart = new Map(records.map(record => [record.start, record]));
+  const expectedColumnCount = errors.reduce((count, err) => count || err.expectedCount || null, null);
+  const strategy = COLUMN_MISMATCH_STRATEGIES.includes(options.strategy) ? options.strategy : 'merge';
+  const columnTypes = strategy === 'detect' && expectedColumnCount ? profileColumnTypes(records, expectedColumnCount) : [];
+  const repairs = [];
+
+  let headerRepaired = false;
+
+  for (const err of errors) {
+    if (err.type === 'empty_header' || err.type === 'duplicate_header') {
+      // One repair names every blank column and renumbers every repeat
+      const header = records.find(record => record.start <= err.start && err.start <= record.end);
+      if (!header || headerRepaired) continue;
+      headerRepaired = true;
+      repairs.push({
+        line: header.line,
+        endLine: header.endLine,
+        type: err.type,
+        error: 'Blank or repeated header names',
+        start: header.start,
+        end: header.end,
+        before: getRecordText(text, header),
+        after: formatCSVRow(cleanHeaderNames(header.fields.map(field => field.value), { fillBlanks: true, dedupe: true }), dialect)
+      });
+      continue;
+    }
+
+    const record = byStart.get(err.start);
+    if (!record) continue;
+
+    if (err.type === 'column_mismatch') {
+      const values = repairRecordValues(record.fields.map(field => field.value), err.expectedCount, {
+        strategy,
+        mergeColumn: options.mergeColumn,
+        delimiter: dialect.delimiter,
+        columnTypes
+      });
+      repairs.push({
+        line: err.line,
+        endLine: err.endLine,
+        type: err.type,
+        error: err.error,
+        start: record.start,
+        end: record.end,
+        before: getRecordText(text, record),
+        after: formatCSVRow(values, dialect),
+        overflow: strategy === 'overflow' && err.actualCount > err.expectedCount
+      });
+    } else if (err.type === 'unmatched_quotes') {
+      const fix = repairUnterminatedRecord(text, record, dialect);
+      repairs.push({
+        line: err.line,
+        endLine: err.line,
+        type: err.type,
+        error: err.error,
+        start: fix.start,
+        end: fix.end,
+        before: text.slice(fix.start, fix.end),
+        after: fix.after
+      });
+    }
+  }
+
+  return { repairs };
+}
+
+// Apply accepted repairs. When any of them uses the overflow column, every
+// other row also gets that column (named "overflow" in the header row) so
+// widths stay equal.
+function applyRepairs(text, repairs, dialect = DEFAULT_DIALECT) {
+  const edits = repairs.map(repair => ({ start: repair.start, end: repair.end, replacement: repair.after }));
+
+  if (repairs.some(repair => repair.overflow)) {
+    const overflowed = new Set(repairs.filter(repair => repair.overflow).map(repair => repair.start));
+    const delimiter = dialect.delimiter || DEFAULT_DIALECT.delimiter;
+    let isFirst = true;
+    for (const record of parseCSV(text, dialect).records) {
+      if (record.isEmpty || record.unterminated) continue;
+      if (!overflowed.has(record.start)) {
+        const label = isFirst && dialect.hasHeader !== false ? 'overflow' : '';
+        edits.push({ start: record.end, end: record.end, replacement: delimiter + label });
+      }
+      isFirst = false;
+    }
+  }
+
+  edits.sort((a, b) => b.start - a.start);
+  let result = text;
+  for (const edit of edits) {
+    result = result.slice(0, edit.start) + edit.replacement + result.slice(edit.end);
+  }
+  return result;
+}
+
+// Inline diff of one line: the changed middle part is wrapped in <del>/<ins>
+function renderInlineDiff(before, after) {
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < before.length - prefix && suffix < after.length - prefix &&
+         before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) suffix++;
+
+  const part = (value, from, to) => escapeHTML(value.slice(from, to));
+  return {
+    before: part(before, 0, prefix) + `<del>${part(before, prefix, before.length - suffix)}</del>` + part(before, before.length - suffix),
+    after: part(after, 0, prefix) + `<ins>${part(after, prefix, after.length - suffix)}</ins>` + part(after, after.length - suffix)
+  };
+}
+
+// Collect every source line covered by an error (records may span lines)
+function getErrorLineSet(errors) {
+  const errorLines = new Set();
+  for (const err of errors) {
+    const endLine = err.endLine || err.line;
+    for (let line = err.line; line <= endLine; line++) {
+      errorLines.add(line);
+    }
+  }
+  return errorLines;
+}
+
+// Schemas: a contract for the columns of a document, saved and shared as JSON.
+//   { columns: [{ name, type, format, required, unique, min, max, pattern, values }] }
+// type is one of SCHEMA_TYPES; format is the date format (tokens YYYY, YY, MM,
+// M, DD, D, HH, mm, ss, anything else is literal); values lists the allowed
+// enum values. min/max bound numbers and dates, and the length of other types.
+// Columns are matched to the header by name, or by position without a header.
+const SCHEMA_TYPES = ['text', 'integer', 'decimal', 'date', 'boolean', 'email', 'enum'];
+const SCHEMA_ERROR_TYPES = ['missing_column', 'required_missing', 'type_mismatch', 'enum_mismatch', 'out_of_range', 'pattern_mismatch', 'duplicate_value'];
+const SCHEMA_DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY', 'YYYY/MM/DD', 'YYYY-MM-DD HH:mm:ss'];
+const SCHEMA_ENUM_MAX_VALUES = 8;
+const SCHEMA_TYPE_LABELS = {
+  integer: 'an integer',
+  decimal: 'a decimal number',
+  boolean: 'a boolean (true/false, yes/no, 1/0)',
+  email: 'an email address'
+};
+const BOOLEAN_VALUES = /^(true|false|yes|no|y|n|1|0)$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function createSchemaColumn(name, type = 'text') {
+  return { name, type, format: '', required: false, unique: false, min: '', max: '', pattern: '', values: [] };
+}
+
+// Parse a date written in `format`; returns the timestamp (UTC) or null
+function parseDateWithFormat(value, format) {
+  const tokens = { YYYY: '(\\d{4})', YY: '(\\d{2})', MM: '(\\d{2})', M: '(\\d{1,2})', DD: '(\\d{2})', D: '(\\d{1,2})', HH: '(\\d{2})', mm: '(\\d{2})', ss: '(\\d{2})' };
+  const order = [];
+  const source = format.replace(/YYYY|YY|MM|M|DD|D|HH|mm|ss|[^A-Za-z]+|[A-Za-z]/g, (token) => {
+    if (tokens[token]) {
+      order.push(token);
+      return tokens[token];
+    }
+    return token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  });
+  const match = new RegExp(`^${source}$`).exec(value.trim());
+  if (!match) return null;
+
+  const parts = { YYYY: 1970, MM: 1, DD: 1, HH: 0, mm: 0, ss: 0 };
+  order.forEach((token, index) => {
+    const number = Number(match[index + 1]);
+    if (token === 'YY') parts.YYYY = 2000 + number;
+    else if (token === 'M') parts.MM = number;
+    else if (token === 'D') parts.DD = number;
+    else parts[token] = number;
+  });
+  const time = Date.UTC(parts.YYYY, parts.MM - 1, parts.DD, parts.HH, parts.mm, parts.ss);
+  const date = new Date(time);
+  // Reject dates Date.UTC rolls over, like 31/02
+  if (date.getUTCMonth() !== parts.MM - 1 || date.getUTCDate() !== parts.DD || parts.HH > 23 || parts.mm > 59 || parts.ss > 59) {
+    return null;
+  }
+  return time;
+}
+
+// Comparable value of a cell for min/max: a number, a timestamp, or a length
+function getSchemaMeasure(value, column) {
+  if (column.type === 'integer' || column.type === 'decimal') return Number(value);
+  if (column.type === 'date') return parseDateWithFormat(value, column.format || 'YYYY-MM-DD');
+  return value.length;
+}
+
+function getSchemaBound(bound, column) {
+  if (bound === '' || bound === null || bound === undefined) return null;
+  if (column.type === 'date') {
+    const text = String(bound);
+    const time = parseDateWithFormat(text, column.format || 'YYYY-MM-DD');
+    return time !== null ? time : parseDateWithFormat(text, 'YYYY-MM-DD');
+  }
+  const number = Number(bound);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Check one non-empty cell against its column; returns { type, message } or null
+function checkSchemaValue(value, column) {
+  const trimmed = value.trim();
+  const typeChecks = {
+    integer: () => /^[-+]?\d+$/.test(trimmed),
+    decimal: () => /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(trimmed),
+    date: () => parseDateWithFormat(trimmed, column.format || 'YYYY-MM-DD') !== null,
+    boolean: () => BOOLEAN_VALUES.test(trimmed),
+    email: () => EMAIL_PATTERN.test(trimmed)
+  };
+  if (typeChecks[column.type] && !typeChecks[column.type]()) {
+    const expected = column.type === 'date' ? `a date (${column.format || 'YYYY-MM-DD'})` : SCHEMA_TYPE_LABELS[column.type];
+    return { type: 'type_mismatch', message: `expected ${expected}` };
+  }
+  if (column.type === 'enum' && !(column.values || []).includes(trimmed)) {
+    return { type: 'enum_mismatch', message: `expected one of ${(column.values || []).join(', ')}` };
+  }
+
+  const measure = getSchemaMeasure(trimmed, column);
+  const min = getSchemaBound(column.min, column);
+  const max = getSchemaBound(column.max, column);
+  const what = column.type === 'integer' || column.type === 'decimal' || column.type === 'date' ? 'value' : 'length';
+  if (min !== null && measure < min) return { type: 'out_of_range', message: `${what} below the minimum ${column.min}` };
+  if (max !== null && measure > max) return { type: 'out_of_range', message: `${what} above the maximum ${column.max}` };
+
+  if (column.pattern) {
+    let pattern;
+    try {
+      pattern = new RegExp(column.pattern);
+    } catch (err) {
+      return null; // Invalid patterns are reported when the schema is loaded
+    }
+    if (!pattern.test(value)) return { type: 'pattern_mismatch', message: `doesn't match /${column.pattern}/` };
+  }
+  return null;
+}
+
+// Record-by-record schema checks, so file mode can stream them too.
+// check(record) returns the errors for one record; the first non-empty record
+// is the header when hasHeader is set.
+function createSchemaValidator(schema, hasHeader = true) {
+  const columns = schema.columns || [];
+  const seen = columns.map(() => new Map());
+  let indexes = null;
+
+  const cellError = (record, field, column, type, message) => ({
+    line: field.line,
+    endLine: record.endLine,
+    column: field.column,
+    start: field.start,
+    end: field.end,
+    content: field.value,
+    error: `Column "${column.name}": ${message}`,
+    type,
+    columnName: column.name
+  });
+
+  return {
+    check(record) {
+      if (record.isEmpty || record.unterminated) return [];
+      const errors = [];
+
+      if (indexes === null) {
+        if (hasHeader) {
+          // Match the schema's columns to the header by name
+          const header = record.fields.map(field => field.value.trim());
+          indexes = columns.map(column => header.indexOf(column.name));
+          indexes.forEach((index, i) => {
+            if (index === -1) {
+              errors.push({
+                line: record.line, endLine: record.endLine, start: record.start, end: record.end,
+                content: columns[i].name,
+                error: `Column "${columns[i].name}" is missing from the header`,
+                type: 'missing_column',
+                columnName: columns[i].name
+              });
+            }
+          });
+          return errors;
+        }
+        indexes = columns.map((column, i) => i);
+      }
+
+      columns.forEach((column, i) => {
+        const index = indexes[i];
+        if (index === -1) return;
+        const field = record.fields[index];
+        const value = field ? field.value : '';
+        if (value.trim() === '') {
+          // Missing trailing fields are the column count check's to report
+          if (column.required && field) errors.push(cellError(record, field, column, 'required_missing', 'a value is required'));
+          return;
+        }
+        const problem = checkSchemaValue(value, column);
+        if (problem) errors.push(cellError(record, field, column, problem.type, problem.message));
+        if (column.unique) {
+          // Values are kept as hashes so large files don't keep every cell around
+          const key = hashString(value.trim());
+          const firstLine = seen[i].get(key);
+          if (firstLine !== undefined) {
+            errors.push(cellError(record, field, column, 'duplicate_value', `duplicate of line ${firstLine}`));
+          } else {
+            seen[i].set(key, field.line);
+          }
+        }
+      });
+      return errors;
+    }
+  };
+}
+
+function validateSchema(records, schema, hasHeader = true) {
+  const validator = createSchemaValidator(schema, hasHeader);
+  return records.flatMap(record => validator.check(record));
+}
+
+function isSchemaError(err) {
+  return SCHEMA_ERROR_TYPES.includes(err.type);
+}
+
+// Guess a schema from the data: the narrowest type every value fits, required
+// when no cell is empty, enums for short lists of repeated words, and unique
+// for emails and id-like columns whose values don't repeat
+function inferSchema(rows, hasHeader = true) {
+  if (rows.length === 0) return { columns: [] };
+  const width = getMaxColumnCount(rows);
+  const header = hasHeader ? getExportKeys(rows[0].concat(new Array(width - rows[0].length).fill(''))) : null;
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+
+  const columns = [];
+  for (let col = 0; col < width; col++) {
+    const column = createSchemaColumn(header ? header[col] : `Column ${col + 1}`);
+    const cells = dataRows.map(row => (row[col] || '').trim());
+    const values = cells.filter(cell => cell !== '');
+    column.required = values.length > 0 && values.length === cells.length;
+
+    const fits = check => values.length > 0 && values.every(check);
+    const dateFormat = SCHEMA_DATE_FORMATS.find(format => fits(value => parseDateWithFormat(value, format) !== null));
+    const distinct = new Set(values);
+    if (fits(value => /^[-+]?\d+$/.test(value))) column.type = 'integer';
+    else if (fits(value => checkSchemaValue(value, { type: 'decimal' }) === null)) column.type = 'decimal';
+    else if (dateFormat) {
+      column.type = 'date';
+      column.format = dateFormat;
+    } else if (fits(value => /^(true|false|yes|no)$/i.test(value))) column.type = 'boolean';
+    else if (fits(value => EMAIL_PATTERN.test(value))) column.type = 'email';
+    else if (distinct.size <= SCHEMA_ENUM_MAX_VALUES && values.length >= distinct.size * 2) {
+      column.type = 'enum';
+      column.values = Array.from(distinct);
+    }
+    column.unique = values.length > 1 && distinct.size === values.length &&
+      (column.type === 'email' || /(^|[\s_-])(id|key|uuid|code)$/i.test(column.name));
+    columns.push(column);
+  }
+  return { columns };
+}
+
+// Read a schema from JSON, filling in defaults. Throws an Error describing the
+// first problem found.
+function parseSchemaJSON(json) {
+  const data = JSON.parse(json);
+  const list = Array.isArray(data) ? data : data && data.columns;
+  if (!Array.isArray(list)) throw new Error('A schema needs a "columns" array');
+
+  const columns = list.map((entry, index) => {
+    if (!entry || typeof entry.name !== 'string' || entry.name.trim() === '') {
+      throw new Error(`Column ${index + 1} needs a name`);
+    }
+    const column = { ...createSchemaColumn(entry.name.trim()), ...entry, name: entry.name.trim() };
+    if (!SCHEMA_TYPES.includes(column.type)) {
+      throw new Error(`Column "${column.name}" has unknown type "${column.type}" (expected ${SCHEMA_TYPES.join(', ')})`);
+    }
+    if (!Array.isArray(column.values)) throw new Error(`Column "${column.name}": "values" must be an array`);
+    column.values = column.values.map(String);
+    if (column.pattern) {
+      try {
+        new RegExp(column.pattern);
+      } catch (err) {
+        throw new Error(`Column "${column.name}" has an invalid pattern: ${err.message}`);
+      }
+    }
+    return column;
+  });
+  return { columns };
+}
+
+// Schema as shareable JSON, leaving out options at their defaults
+function serializeSchema(schema) {
+  const defaults = createSchemaColumn('');
+  const columns = schema.columns.map(column => {
+    const out = { name: column.name, type: column.type };
+    for (const key of ['format', 'required', 'unique', 'min', 'max', 'pattern']) {
+      if (column[key] !== defaults[key] && column[key] !== undefined) out[key] = column[key];
+    }
+    if (column.type === 'enum') out.values = column.values;
+    return out;
+  });
+  return JSON.stringify({ columns }, null, 2);
+}
+
+// Normalize delimiters across the document:
+// - Keep quoted segments intact (including line breaks inside them)
+// - Replace unquoted tabs and semicolons with commas
+// When the text uses a different sniffed or chosen dialect, its records are
+// re-serialized as comma-separated instead.
+function normalizeTextDelimiters(text, dialect = DEFAULT_DIALECT) {
+  if (dialect.delimiter !== DEFAULT_DIALECT.delimiter || dialect.quote !== DEFAULT_DIALECT.quote) {
+    return parseCSV(text, dialect).records
+      .map(record => record.isEmpty ? getRecordText(text, record) : formatCSVRow(record.fields.map(field => field.value)))
+      .join("\r\n");
+  }
+  
+  let out = "";
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') {
+      out += ch;
+      // Toggle quotes unless it's an escaped quote ("")
+      if (i + 1 < text.length && text[i + 1] === '"') {
+        // Escaped quote: include next and skip toggle
+        out += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (!inQuotes && (ch === "\t" || ch === ";")) {
+      out += ",";
+    } else if (!inQuotes && ch === "\n") {
+      out += "\r\n";
+    } else if (!inQuotes && ch === "\r" && text[i + 1] === "\n") {
+      // Emitted together with the following \n
+    } else {
+      out += ch;
+    }
+  }
+  return out;
+}
+
+// AI-focused cleanup functions
+function removeEmptyRows(text, dialect = DEFAULT_DIALECT) {
+  return parseCSV(text, dialect).records
+    .filter(record => !record.isEmpty)
+    .map(record => getRecordText(text, record))
+    .join('\r\n');
+}
+
+function trimFieldWhitespace(text, dialect = DEFAULT_DIALECT) {
+  return parseCSV(text, dialect).records
+    .map(record => {
+      const recordText = getRecordText(text, record);
+      if (record.isEmpty || record.unterminated) return recordText;
+      return record.fields.map(field => {
+        const trimmedValue = field.value.trim();
+        // If it was originally quoted, keep it quoted; escapeCSVValue adds quotes when needed
+        return escapeCSVValue(trimmedValue, field.wasQuoted, dialect);
+      }).join(dialect.delimiter);
+    })
+    .join('\r\n');
+}
+
+// Value normalizers for chosen columns: numbers re-written from one locale's
+// separators to another's, dates read in a given order and written as ISO
+// 8601, and yes/no synonyms mapped to one pair. Cells that can't be read are
+// left as they are and reported; empty cells are skipped.
+const NUMBER_LOCALES = {
+  plain: { label: '1234.56', group: '', decimal: '.' },
+  en: { label: '1,234.56', group: ',', decimal: '.' },
+  de: { label: '1.234,56', group: '.', decimal: ',' },
+  fr: { label: '1 234,56', group: ' ', decimal: ',' },
+  ch: { label: "1'234.56", group: "'", decimal: '.' }
+};
+// Input orders for dates (see parseDateWithFormat); D and M take one or two digits
+const DATE_INPUT_FORMATS = {
+  'D/M/YYYY': '31/12/2024',
+  'M/D/YYYY': '12/31/2024',
+  'D.M.YYYY': '31.12.2024',
+  'D-M-YYYY': '31-12-2024',
+  'M-D-YYYY': '12-31-2024',
+  'YYYY/M/D': '2024/12/31',
+  'D/M/YY': '31/12/24',
+  'M/D/YY': '12/31/24'
+};
+const BOOLEAN_SYNONYMS = {
+  true: ['true', 't', 'yes', 'y', 'on', '1'],
+  false: ['false', 'f', 'no', 'n', 'off', '0']
+};
+const BOOLEAN_PAIRS = ['true/false', 'TRUE/FALSE', 'yes/no', 'Yes/No', 'Y/N', '1/0'];
+
+// Read a number written with a locale's separators into { negative,
+// integer, fraction, percent } digit strings, or null. Space-grouped numbers
+// may use no-break and thin spaces too.
+function parseLocaleNumber(value, locale = 'en') {
+  const { group, decimal } = NUMBER_LOCALES[locale] || NUMBER_LOCALES.en;
+  const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const groupPattern = group === ' ' ? '[ \u00A0\u202F]' : escape(group);
+  const integer = group ? `\\d{1,3}(?:${groupPattern}\\d{3})+|\\d+` : '\\d+';
+  const match = new RegExp(`^([-+]?)(${integer})?(?:${escape(decimal)}(\\d+))?(%?)$`).exec(value.trim());
+  if (!match || (!match[2] && !match[3])) return null;
+  return { negative: match[1] === '-', integer: (match[2] || '0').replace(/\D/g, ''), fraction: match[3] || '', percent: match[4] };
+}
+
+function formatLocaleNumber(number, locale = 'plain') {
+  const { group, decimal } = NUMBER_LOCALES[locale] || NUMBER_LOCALES.plain;
+  const integer = group ? number.integer.replace(/\B(?=(\d{3})+$)/g, group) : number.integer;
+  return (number.negative ? '-' : '') + integer + (number.fraction ? decimal + number.fraction : '') + number.percent;
+}
+
+// ISO 8601 form of a date written in `format`, optionally followed by a
+// time (HH:mm or HH:mm:ss). Values already in ISO form are accepted too.
+// Returns null when the value isn't a valid date.
+function normalizeDateValue(value, format = 'D/M/YYYY') {
+  const trimmed = value.trim();
+  const candidates = [
+    [format, false], [`${format} HH:mm`, true], [`${format} HH:mm:ss`, true],
+    ['YYYY-MM-DD', false], ['YYYY-MM-DD HH:mm', true], ['YYYY-MM-DD HH:mm:ss', true]
+  ];
+  for (const [candidate, hasTime] of candidates) {
+    const time = parseDateWithFormat(trimmed.replace(/^(\d{4}-\d{2}-\d{2})T/, '$1 '), candidate);
+    if (time !== null) return new Date(time).toISOString().slice(0, hasTime ? 19 : 10);
+  }
+  return null;
+}
+
+// Normalize one cell as a number, date or boolean. Returns { value } or
+// { error } for a cell that can't be read.
+function normalizeCellValue(value, kind, options = {}) {
+  if (value.trim() === '') return { value };
+  if (kind === 'number') {
+    const from = NUMBER_LOCALES[options.numberFrom] ? options.numberFrom : 'en';
+    const number = parseLocaleNumber(value, from);
+    return number ? { value: formatLocaleNumber(number, options.numberTo) } : { error: `not a number written as ${NUMBER_LOCALES[from].label}` };
+  }
+  if (kind === 'date') {
+    const format = DATE_INPUT_FORMATS[options.dateFormat] ? options.dateFormat : 'D/M/YYYY';
+    const date = normalizeDateValue(value, format);
+    return date !== null ? { value: date } : { error: `not a date written as ${DATE_INPUT_FORMATS[format]}` };
+  }
+  const pair = (BOOLEAN_PAIRS.includes(options.booleanPair) ? options.booleanPair : BOOLEAN_PAIRS[0]).split('/');
+  const lower = value.trim().toLowerCase();
+  if (BOOLEAN_SYNONYMS.true.includes(lower)) return { value: pair[0] };
+  if (BOOLEAN_SYNONYMS.false.includes(lower)) return { value: pair[1] };
+  return { error: 'not a yes/no value' };
+}
+
+// Kind of value ('number', 'date' or 'boolean') of each listed column, from
+// the column lists of the normalizeValues options (see resolveColumnList)
+function getValueColumnKinds(options, header) {
+  const kinds = new Map();
+  resolveColumnList(options.numberColumns, header).forEach(index => kinds.set(index, 'number'));
+  resolveColumnList(options.dateColumns, header).forEach(index => kinds.set(index, 'date'));
+  resolveColumnList(options.booleanColumns, header).forEach(index => kinds.set(index, 'boolean'));
+  return kinds;
+}
+
+// Row normalizer for normalizeValues: takes the values of each record in
+// order (the first non-empty one being the header, when there is one) and
+// returns them normalized, calling report({ column, value, message }) for
+// every cell it couldn't read
+function createValueNormalizer(options, dialect, report = () => {}) {
+  let kinds = null;
+  return (values, record) => {
+    if (record.isEmpty || record.unterminated) return values;
+    if (!kinds) {
+      const hasHeader = dialect.hasHeader !== false;
+      kinds = getValueColumnKinds(options, hasHeader ? values : null);
+      if (hasHeader) return values;
+    }
+    if (!kinds.size) return values;
+    return values.map((value, column) => {
+      if (!kinds.has(column)) return value;
+      const result = normalizeCellValue(value, kinds.get(column), options);
+      if (result.error) {
+        report({ column, value, message: result.error });
+        return value;
+      }
+      return result.value;
+    });
+  };
+}
+
+// Normalize the listed columns of the text. Returns { text, problems } where
+// problems lists the cells left alone as { row, line, column, value,
+// message }, row being the index of the record in parseCSV's records.
+function normalizeValuesText(text, dialect = DEFAULT_DIALECT, options = {}) {
+  const problems = [];
+  let current = null;
+  const normalize = createValueNormalizer(options, dialect, problem => problems.push({ ...current, ...problem }));
+  const output = parseCSV(text, dialect).records
+    .map((record, row) => {
+      current = { row, line: record.line };
+      const values = record.fields.map(field => field.value);
+      const normalized = normalize(values, record);
+      if (normalized.every((value, index) => value === values[index])) return getRecordText(text, record);
+      return record.fields.map((field, index) => escapeCSVValue(normalized[index], field.wasQuoted, dialect)).join(dialect.delimiter);
+    })
+    .join('\r\n');
+  return { text: output, problems };
+}
+
+// Typographic punctuation and the ASCII that replaces it, by kind
+const TYPOGRAPHIC_CHARS = [
+  { kind: 'quotes', chars: '\u201C\u201D\u201E\u201F\u2033\u2036\u00AB\u00BB\u301D\u301E\uFF02', replacement: '"' },
+  { kind: 'quotes', chars: '\u2018\u2019\u201A\u201B\u2032\u2035\u2039\u203A\uFF07', replacement: "'" },
+  { kind: 'dashes', chars: '\u2010\u2011\u2012\u2013\u2014\u2015\u2212\uFE58\uFE63\uFF0D', replacement: '-' },
+  { kind: 'ellipses', chars: '\u2026\u22EF', replacement: '...' }
+];
+
+// Mojibake: UTF-8 bytes decoded as Windows-1252 (or Latin-1), such as "Ã©"
+// for "é" or "â€™" for "’". Every byte became one character; 0x80-0x9F map
+// to the Windows-1252 punctuation below (or C1 controls, read as Latin-1 or
+// where Windows-1252 has none). A sequence is a lead byte followed by its continuation bytes.
+const WINDOWS_1252_HIGH = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F'
+  + '\u0090‘’“”•–—˜™š›œ\u009DžŸ';
+const MOJIBAKE_CONTINUATION = `[\\u0080-\\u00BF${WINDOWS_1252_HIGH}]`;
+const MOJIBAKE_SEQUENCE = `(?:[\\u00C2-\\u00DF]${MOJIBAKE_CONTINUATION}|[\\u00E0-\\u00EF]${MOJIBAKE_CONTINUATION}{2}|[\\u00F0-\\u00F4]${MOJIBAKE_CONTINUATION}{3})`;
+const MOJIBAKE_PATTERN = new RegExp(`${MOJIBAKE_SEQUENCE}+`, 'g');
+const MOJIBAKE_SINGLE = new RegExp(`^${MOJIBAKE_SEQUENCE}$`);
+
+const TYPOGRAPHIC_REPLACEMENTS = {};
+for (const { chars, replacement } of TYPOGRAPHIC_CHARS) {
+  for (const char of chars) TYPOGRAPHIC_REPLACEMENTS[char] = replacement;
+}
+// Mojibake is matched first so its punctuation is left for repairMojibake
+const TYPOGRAPHY_PATTERN = new RegExp(`${MOJIBAKE_PATTERN.source}|[${TYPOGRAPHIC_CHARS.map(group => group.chars).join('')}]`, 'g');
+
+function fixTypography(value) {
+  return value.replace(TYPOGRAPHY_PATTERN, match => decodeMojibake(match) !== null
+    ? match
+    : Array.from(match, char => TYPOGRAPHIC_REPLACEMENTS[char] || char).join(''));
+}
+
+// Typography is fixed in the parsed values and each changed record written
+// again, so a curly quote inside a cell becomes an escaped straight quote
+// rather than CSV quoting
+function fixSmartQuotes(text, dialect = DEFAULT_DIALECT) {
+  return mapCellValues(text, dialect, fixTypography);
+}
+
+// The text a run of mojibake sequences was meant to be, or null when it
+// doesn't decode. A lone accented letter followed only by typographic
+// punctuation (`CAFÉ”`) is more likely real text and gives null too.
+function decodeMojibake(match) {
+  if (match.length < 2 || (MOJIBAKE_SINGLE.test(match) && Array.from(match.slice(1)).every(char => TYPOGRAPHIC_REPLACEMENTS[char]))) return null;
+  const bytes = Array.from(match, char => {
+    const high = WINDOWS_1252_HIGH.indexOf(char);
+    return high !== -1 ? 0x80 + high : char.charCodeAt(0);
+  });
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(new Uint8Array(bytes));
+  } catch (err) {
+    return null;
+  }
+}
+
+// Decode mojibake back to the intended characters, repeatedly for text that
+// was mis-decoded more than once
+function repairMojibake(text) {
+  for (let round = 0; round < 3; round++) {
+    const repaired = text.replace(MOJIBAKE_PATTERN, match => {
+      const decoded = decodeMojibake(match);
+      return decoded === null ? match : decoded;
+    });
+    if (repaired === text) break;
+    text = repaired;
+  }
+  return text;
+}
+
+// Unicode repair of cell text. options: { mojibake, form, invisible }
+// where form is a String.prototype.normalize form ('' leaves it) and
+// invisible replaces unusual spaces with plain ones and removes zero-width,
+// bidi and control characters (other than tabs and line breaks).
+// Returns { value, fixes } with a label for every kind of fix made.
+const UNICODE_FORMS = ['NFC', 'NFD', 'NFKC', 'NFKD'];
+const INVISIBLE_CHAR_FIXES = [
+  { label: 'non-breaking spaces', pattern: /[\u00A0\u2000-\u200A\u202F\u205F\u3000]/g, replacement: ' ' },
+  // Joiners are kept inside words and emoji sequences, where they shape the text
+  { label: 'zero-width characters', pattern: /[\u00AD\u200B\u2060\uFEFF]|(?<![\p{L}\p{Extended_Pictographic}])[\u200C\u200D]|[\u200C\u200D](?![\p{L}\p{Extended_Pictographic}])/gu, replacement: '' },
+  { label: 'bidi controls', pattern: /[\u061C\u200E\u200F\u202A-\u202E\u2066-\u2069]/g, replacement: '' },
+  { label: 'control characters', pattern: /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/g, replacement: '' }
+];
+
+function repairCellText(value, options = {}) {
+  const fixes = [];
+  const apply = (label, next) => {
+    if (next !== value) {
+      fixes.push(label);
+      value = next;
+    }
+  };
+  if (options.mojibake) apply('mojibake', repairMojibake(value));
+  if (UNICODE_FORMS.includes(options.form)) apply(`${options.form} form`, value.normalize(options.form));
+  if (options.invisible) {
+    for (const fix of INVISIBLE_CHAR_FIXES) apply(fix.label, value.replace(fix.pattern, fix.replacement));
+  }
+  return { value, fixes };
+}
+
+function repairUnicodeText(text, dialect = DEFAULT_DIALECT, options = {}) {
+  return mapCellValues(text, dialect, value => repairCellText(value, options).value);
+}
+
+// Rewrite every cell value with mapValue(value), keeping the text of records
+// it leaves unchanged
+function mapCellValues(text, dialect, mapValue) {
+  return parseCSV(text, dialect).records
+    .map(record => {
+      const recordText = getRecordText(text, record);
+      if (record.isEmpty || record.unterminated) return recordText;
+      const values = record.fields.map(field => mapValue(field.value));
+      if (values.every((value, index) => value === record.fields[index].value)) return recordText;
+      return record.fields.map((field, index) => escapeCSVValue(values[index], field.wasQuoted, dialect)).join(dialect.delimiter);
+    })
+    .join('\r\n');
+}
+
+// Kinds of typographic punctuation in a cell, for the cleanup report
+function describeTypography(value) {
+  const kinds = new Set(TYPOGRAPHIC_CHARS
+    .filter(group => Array.from(group.chars).some(char => value.includes(char)))
+    .map(group => group.kind));
+  return Array.from(kinds, kind => `typographic ${kind}`);
+}
+
+// Duplicate rows are found on parsed values, so `a,b` and `"a",b` match.
+// options: { keyColumns, ignoreCase, ignoreWhitespace, strategy } where
+// keyColumns lists the columns to compare (see resolveColumnList, all
+// columns when empty) and strategy keeps the first row of each group, the
+// last one, or the first with its empty cells filled from the others
+// ('merge'). The header row and empty rows are never duplicates.
+const DEDUPE_STRATEGIES = {
+  first: 'Keep first',
+  last: 'Keep last',
+  merge: 'Merge non-empty'
+};
+const MAX_LISTED_DUPLICATE_GROUPS = 200;
+
+// Column indexes for a comma-separated list like "email, 3": names match the
+// header ignoring case, numbers count from 1. Throws on unknown columns.
+function resolveColumnList(spec, header = null) {
+  const names = header ? header.map(name => name.trim().toLowerCase()) : [];
+  return String(spec || '').split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const index = names.indexOf(part.toLowerCase());
+    if (index !== -1) return index;
+    if (/^\d+$/.test(part) && Number(part) >= 1) return Number(part) - 1;
+    throw new Error(`Unknown column "${part}"` + (header ? ` (columns: ${header.join(', ')})` : ''));
+  });
+}
+
+// Comparison key of a row's values
+function createDuplicateKey(options = {}, keyColumns = []) {
+  const normalize = value => {
+    if (options.ignoreWhitespace) value = value.trim().replace(/\s+/g, ' ');
+    return options.ignoreCase ? value.toLowerCase() : value;
+  };
+  return values => (keyColumns.length ? keyColumns.map(index => values[index] || '') : values)
+    .map(normalize)
+    .join('\u0000');
+}
+
+// Streaming version for file mode: returns (values, record) => key hash, or
+// null for empty rows and the header, whose names resolve the key columns
+function createDuplicateKeyReader(options, dialect) {
+  let keyOf = dialect.hasHeader !== false ? null : createDuplicateKey(options, resolveColumnList(options.keyColumns));
+  return (values, record) => {
+    if (record.isEmpty) return null;
+    if (!keyOf) {
+      keyOf = createDuplicateKey(options, resolveColumnList(options.keyColumns, values));
+      return null;
+    }
+    return hashString(keyOf(values));
+  };
+}
+
+// Fill the empty cells of `target` from `values`
+function mergeRowValues(target, values) {
+  const merged = target.slice();
+  values.forEach((value, index) => {
+    if (!(merged[index] || '').trim() && value.trim()) merged[index] = value;
+  });
+  return merged;
+}
+
+// Dedupe a document. Returns { text, groups, groupCount, removedRows } where
+// groups lists up to MAX_LISTED_DUPLICATE_GROUPS groups as { lines, keptLine,
+// merged, content } (content is the row that stays).
+function findDuplicateRows(text, dialect = DEFAULT_DIALECT, options = {}) {
+  const records = parseCSV(text, dialect).records;
+  const rowValues = record => record.fields.map(field => field.value);
+  const headerRecord = dialect.hasHeader !== false ? records.find(record => !record.isEmpty) : null;
+  const keyOf = createDuplicateKey(options, resolveColumnList(options.keyColumns, headerRecord ? rowValues(headerRecord) : null));
+  const strategy = DEDUPE_STRATEGIES[options.strategy] ? options.strategy : 'first';
+
+  const groupsByKey = new Map();
+  records.forEach((record, index) => {
+    if (record.isEmpty || record === headerRecord) return;
+    const key = keyOf(rowValues(record));
+    if (groupsByKey.has(key)) groupsByKey.get(key).push(index);
+    else groupsByKey.set(key, [index]);
+  });
+
+  const output = records.map(record => getRecordText(text, record));
+  const result = { groups: [], groupCount: 0, removedRows: 0 };
+  for (const indexes of groupsByKey.values()) {
+    if (indexes.length < 2) continue;
+    const kept = strategy === 'last' ? indexes[indexes.length - 1] : indexes[0];
+    let merged = false;
+    if (strategy === 'merge') {
+      const first = rowValues(records[kept]);
+      const values = indexes.slice(1).reduce((acc, index) => mergeRowValues(acc, rowValues(records[index])), first);
+      merged = values.length !== first.length || values.some((value, index) => value !== first[index]);
+      if (merged) output[kept] = formatCSVRow(values, dialect);
+    }
+    indexes.forEach(index => {
+      if (index !== kept) output[index] = null;
+    });
+
+    result.groupCount++;
+    result.removedRows += indexes.length - 1;
+    if (result.groups.length < MAX_LISTED_DUPLICATE_GROUPS) {
+      result.groups.push({
+        lines: indexes.map(index => records[index].line),
+        keptLine: records[kept].line,
+        merged,
+        content: output[kept]
+      });
+    }
+  }
+
+  return { text: output.filter(row => row !== null).join('\r\n'), ...result };
+}
+
+function removeDuplicateRows(text, dialect = DEFAULT_DIALECT, options = {}) {
+  return findDuplicateRows(text, dialect, options).text;
+}
+
+// Header cleanup: naming styles for cleanHeaderNames, each with the separator
+// it puts between words (and before the number that tells repeats apart)
+const HEADER_CASES = {
+  snake: { label: 'snake_case', separator: '_' },
+  camel: { label: 'camelCase', separator: '' },
+  title: { label: 'Title Case', separator: ' ' }
+};
+
+// Words of a name, split at anything but letters and digits and where
+// camelCase humps begin ("firstName", "HTTPStatus", "unit price (€)")
+function splitHeaderWords(name) {
+  return name
+    .replace(/([\p{Ll}\d])(\p{Lu})/gu, '$1 $2')
+    .replace(/(\p{Lu}+)(\p{Lu}\p{Ll})/gu, '$1 $2')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// Rewrite a name in one of HEADER_CASES; names without any letters or digits stay as they are
+function convertHeaderCase(name, style) {
+  const words = splitHeaderWords(name).map(word => word.toLowerCase());
+  if (words.length === 0 || !HEADER_CASES[style]) return name;
+  const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+  if (style === 'camel') return words[0] + words.slice(1).map(capitalize).join('');
+  return (style === 'title' ? words.map(capitalize) : words).join(HEADER_CASES[style].separator);
+}
+
+// options: { trim, fillBlanks, dedupe, case } where case is a key of
+// HEADER_CASES. Blank names become column_N and repeats get a _2, _3...
+// suffix like getExportKeys, both written in the chosen case.
+function cleanHeaderNames(names, options = {}) {
+  const style = HEADER_CASES[options.case] ? options.case : null;
+  const separator = style ? HEADER_CASES[style].separator : '_';
+  const cleaned = names.map((name, index) => {
+    let value = options.trim ? name.trim() : name;
+    if (options.fillBlanks && value.trim() === '') value = `column_${index + 1}`;
+    return style ? convertHeaderCase(value, style) : value;
+  });
+  if (!options.dedupe) return cleaned;
+
+  const used = new Set();
+  return cleaned.map(name => {
+    const base = name.trim();
+    if (base === '') return name;
+    let unique = base;
+    for (let n = 2; used.has(unique); n++) unique = `${base}${separator}${n}`;
+    used.add(unique);
+    return unique === base ? name : unique;
+  });
+}
+
+// Apply cleanHeaderNames to the header record (the first non-empty one)
+function cleanHeaderRow(text, dialect = DEFAULT_DIALECT, options = {}) {
+  const header = parseLeadingRecords(text, 1, dialect)[0];
+  if (!header || header.unterminated) return text;
+  const names = cleanHeaderNames(header.fields.map(field => field.value), options);
+  return text.slice(0, header.start) + formatCSVRow(names, dialect) + text.slice(header.end);
+}
+
+// Column operations: restructure the columns of every record. operation is
+//   { type: 'reorder', order }                     column indexes in their new order
+//   { type: 'delete', columns }
+//   { type: 'rename', column, name }
+//   { type: 'split', column, separator, regex, names }
+//   { type: 'merge', columns, separator, name }
+//   { type: 'derive', template, name }
+// with columns counted from 0. split cuts a column on a string (or a regular
+// expression) into as many columns as the most pieces found, named by
+// `names` (comma-separated) or name_1, name_2... merge joins the non-empty
+// values of the columns, in order, into the first of them. derive appends a
+// column filled from a template such as "{first} {last}", whose placeholders
+// are column names or numbers counted from 1. Fields keep their quoting;
+// empty and unterminated records are left alone. Throws on invalid input.
+function editColumns(text, dialect = DEFAULT_DIALECT, operation = {}) {
+  const records = parseCSV(text, dialect).records;
+  const headerRecord = dialect.hasHeader !== false ? records.find(record => !record.isEmpty) : null;
+  const header = headerRecord ? headerRecord.fields.map(field => field.value) : null;
+  const rows = records
+    .filter(record => !record.isEmpty && !record.unterminated)
+    .map(record => ({ record, fields: record.fields.map(field => ({ value: field.value, quoted: field.wasQuoted })) }));
+  const dataRows = rows.filter(row => row.record !== headerRecord);
+  const headerRow = rows.find(row => row.record === headerRecord) || null;
+  const cell = value => ({ value, quoted: false });
+  const columnName = index => header && header[index] !== undefined ? header[index] : `column ${index + 1}`;
+
+  switch (operation.type) {
+    case 'reorder': {
+      const order = operation.order;
+      rows.forEach(row => {
+        // Fields past the reordered columns stay at the end
+        row.fields = order.map(index => row.fields[index] || cell('')).concat(row.fields.slice(order.length));
+      });
+      break;
+    }
+    case 'delete': {
+      const deleted = new Set(operation.columns);
+      rows.forEach(row => {
+        row.fields = row.fields.filter((field, index) => !deleted.has(index));
+      });
+      break;
+    }
+    case 'rename': {
+      if (!headerRow) throw new Error('There is no header row to rename a column in');
+      headerRow.fields[operation.column] = { ...(headerRow.fields[operation.column] || cell('')), value: operation.name };
+      break;
+    }
+    case 'split': {
+      if (!operation.separator) throw new Error('Enter the separator to split on');
+      const pattern = operation.regex ? new RegExp(operation.separator) : operation.separator;
+      const pieces = dataRows.map(row => (row.fields[operation.column] ? row.fields[operation.column].value : '').split(pattern));
+      const count = Math.max(1, ...pieces.map(parts => parts.length));
+      const names = String(operation.names || '').split(',').map(name => name.trim());
+      const insert = (row, values) => {
+        while (row.fields.length < operation.column) row.fields.push(cell(''));
+        row.fields.splice(operation.column, 1, ...values.map(cell));
+      };
+      dataRows.forEach((row, index) => {
+        insert(row, Array.from({ length: count }, (unused, piece) => pieces[index][piece] || ''));
+      });
+      if (headerRow) {
+        insert(headerRow, Array.from({ length: count }, (unused, piece) => names[piece] || `${columnName(operation.column)}_${piece + 1}`));
+      }
+      break;
+    }
+    case 'merge': {
+      const columns = operation.columns.slice().sort((a, b) => a - b);
+      if (columns.length < 2) throw new Error('Pick at least two columns to merge');
+      const [first, ...rest] = columns;
+      const removed = new Set(rest);
+      const separator = operation.separator || '';
+      rows.forEach(row => {
+        const value = row === headerRow
+          ? operation.name || columns.map(columnName).join('_')
+          : columns.map(index => row.fields[index] ? row.fields[index].value : '').filter(value => value !== '').join(separator);
+        while (row.fields.length <= first) row.fields.push(cell(''));
+        row.fields[first] = { ...row.fields[first], value };
+        row.fields = row.fields.filter((field, index) => !removed.has(index));
+      });
+      break;
+    }
+    case 'derive': {
+      const names = header ? header.map(name => name.trim().toLowerCase()) : [];
+      const placeholders = [...String(operation.template || '').matchAll(/\{([^{}]+)\}/g)].map(match => match[1]);
+      if (!placeholders.length) throw new Error('The template needs at least one {column} placeholder');
+      const lookup = {};
+      for (const placeholder of placeholders) {
+        const key = placeholder.trim();
+        let index = names.indexOf(key.toLowerCase());
+        if (index === -1 && /^\d+$/.test(key) && Number(key) >= 1) index = Number(key) - 1;
+        if (index === -1) throw new Error(`Unknown column {${placeholder}}` + (header ? ` (columns: ${header.join(', ')})` : ''));
+        lookup[placeholder] = index;
+      }
+      const width = rows.reduce((max, row) => Math.max(max, row.fields.length), 0);
+      rows.forEach(row => {
+        const value = row === headerRow
+          ? operation.name || 'derived'
+          : operation.template.replace(/\{([^{}]+)\}/g, (match, placeholder) => {
+            const field = row.fields[lookup[placeholder]];
+            return field ? field.value : '';
+          });
+        while (row.fields.length < width) row.fields.push(cell(''));
+        row.fields.push(cell(value));
+      });
+      break;
+    }
+    default:
+      throw new Error(`Unknown column operation "${operation.type}"`);
+  }
+
+  const rewritten = new Map(rows.map(row => [
+    row.record,
+    row.fields.map(field => escapeCSVValue(field.value, field.quoted, dialect)).join(dialect.delimiter)
+  ]));
+  return records
+    .map(record => rewritten.has(record) ? rewritten.get(record) : getRecordText(text, record))
+    .join('\r\n');
+}
+
+// Row views: sorting and filtering the data rows, leaving the header first.
+// A view is { sort, filters } with columns counted from 0:
+//   sort:    [{ column, type, direction }] keys compared in order, type being
+//            a key of SORT_TYPES and direction 'asc' or 'desc'
+//   filters: [{ column, op, value, min, max }] conditions that must all hold,
+//            op being a key of FILTER_OPERATORS
+// Text comparisons ignore case; between takes numbers and either bound may
+// be left empty.
+const SORT_TYPES = { text: 'Text', number: 'Number', date: 'Date' };
+const FILTER_OPERATORS = {
+  equals: 'equals',
+  contains: 'contains',
+  regex: 'matches regex',
+  between: 'is between',
+  empty: 'is empty',
+  notEmpty: 'is not empty'
+};
+
+function isRowViewActive(view) {
+  return Boolean(view && ((view.sort && view.sort.length) || (view.filters && view.filters.length)));
+}
+
+// Number in a cell, allowing a trailing % and 1,234.5-style grouping; null
+// when there is none
+function parseSortNumber(value) {
+  let trimmed = value.trim().replace(/%$/, '');
+  if (/^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(trimmed)) trimmed = trimmed.replace(/,/g, '');
+  return /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(trimmed) ? Number(trimmed) : null;
+}
+
+// Date reader for a column: the format of SCHEMA_DATE_FORMATS that reads
+// most of its values wins, so 03/04/2024 means the same day in every row.
+// Values it can't read try the other formats and then ISO timestamps.
+function createDateReader(values) {
+  const dated = values.map(value => value.trim()).filter(Boolean);
+  const counts = SCHEMA_DATE_FORMATS.map(format => dated.filter(value => parseDateWithFormat(value, format) !== null).length);
+  const best = counts.indexOf(Math.max(...counts));
+  const formats = best > 0 ? [SCHEMA_DATE_FORMATS[best], ...SCHEMA_DATE_FORMATS.filter((format, index) => index !== best)] : SCHEMA_DATE_FORMATS;
+  return value => {
+    const trimmed = value.trim();
+    if (!trimmed) return null;
+    for (const format of formats) {
+      const time = parseDateWithFormat(trimmed, format);
+      if (time !== null) return time;
+    }
+    const time = /^\d{4}-\d{2}-\d{2}T/.test(trimmed) ? Date.parse(trimmed) : NaN;
+    return Number.isNaN(time) ? null : time;
+  };
+}
+
+// Stable sort of rows by the keys of a view. getValues(row) gives a row's
+// cell values. Empty cells, and cells that aren't numbers or dates in a
+// number or date key, go last in either direction.
+function sortRows(rows, sort = [], getValues = row => row) {
+  if (!sort.length) return rows.slice();
+  // numeric: "item 2" sorts before "item 10"
+  const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+  const keys = sort.map(key => {
+    const type = SORT_TYPES[key.type] ? key.type : 'text';
+    const read = type === 'number' ? parseSortNumber
+      : type === 'date' ? createDateReader(rows.map(row => getValues(row)[key.column] || ''))
+      : value => value.trim() === '' ? null : value;
+    return { column: key.column, type, read, sign: key.direction === 'desc' ? -1 : 1 };
+  });
+  const decorated = rows.map((row, index) => {
+    const values = getValues(row);
+    return { row, index, keys: keys.map(key => key.read(values[key.column] || '')) };
+  });
+  decorated.sort((a, b) => {
+    for (let i = 0; i < keys.length; i++) {
+      const x = a.keys[i];
+      const y = b.keys[i];
+      if (x === y) continue;
+      if (x === null) return 1;
+      if (y === null) return -1;
+      const order = keys[i].type === 'text' ? collator.compare(x, y) : x - y;
+      if (order) return order * keys[i].sign;
+    }
+    return a.index - b.index;
+  });
+  return decorated.map(item => item.row);
+}
+
+// Test of a row's values against all the filters of a view. Throws on an
+// unknown operator, an invalid pattern or a bound that isn't a number.
+function createRowMatcher(filters = []) {
+  const parseBound = bound => {
+    if (bound === undefined || bound === null || String(bound).trim() === '') return null;
+    const number = parseSortNumber(String(bound));
+    if (number === null) throw new Error(`"${bound}" is not a number`);
+    return number;
+  };
+  const tests = filters.map(filter => {
+    const wanted = String(filter.value === undefined || filter.value === null ? '' : filter.value);
+    switch (filter.op) {
+      case 'equals':
+        return value => value.trim().toLowerCase() === wanted.trim().toLowerCase();
+      case 'contains':
+        return value => value.toLowerCase().includes(wanted.toLowerCase());
+      case 'regex': {
+        const pattern = new RegExp(wanted, 'i');
+        return value => pattern.test(value);
+      }
+      case 'between': {
+        const min = parseBound(filter.min);
+        const max = parseBound(filter.max);
+        return value => {
+          const number = parseSortNumber(value);
+          return number !== null && (min === null || number >= min) && (max === null || number <= max);
+        };
+      }
+      case 'empty':
+        return value => value.trim() === '';
+      case 'notEmpty':
+        return value => value.trim() !== '';
+      default:
+        throw new Error(`Unknown filter "${filter.op}"`);
+    }
+  });
+  return values => tests.every((test, index) => {
+    const value = values[filters[index].column];
+    return test(value === undefined ? '' : value);
+  });
+}
+
+// The header record (or null) and the data records a view keeps, in order,
+// out of `total` non-empty data records
+function selectRecords(text, dialect = DEFAULT_DIALECT, view = {}) {
+  const records = parseCSV(text, dialect).records.filter(record => !record.isEmpty);
+  const header = dialect.hasHeader !== false && records.length ? records[0] : null;
+  const data = header ? records.slice(1) : records;
+  const matches = createRowMatcher(view.filters);
+  const getValues = record => record.fields.map(field => field.value);
+  const kept = sortRows(data.filter(record => matches(getValues(record))), view.sort, getValues);
+  return { header, records: kept, total: data.length };
+}
+
+// Rewrite the text as the header followed by the rows a view keeps, each
+// record as written in the text. Empty lines are dropped.
+function applyRowView(text, dialect = DEFAULT_DIALECT, view = {}) {
+  const { header, records, total } = selectRecords(text, dialect, view);
+  return {
+    text: (header ? [header, ...records] : records).map(record => getRecordText(text, record)).join('\r\n'),
+    matched: records.length,
+    total
+  };
+}
+
+// Column profiles: what each column holds, to judge at a glance whether the
+// data is usable. Distinct values are counted up to PROFILE_MAX_DISTINCT per
+// column; past that the distinct count is a lower bound and the top values
+// are approximate.
+const PROFILE_TOP_VALUES = 5;
+const PROFILE_MAX_DISTINCT = 10000;
+const NULL_VALUES = /^(null|none|nil|nan|n\/a)$/i;
+
+// Row-by-row column profiling, so file mode can stream it too.
+// add(values) takes the cell values of one data row; finish(names) returns
+// one profile per column: { name, type, types, mixedTypes, empty, distinct,
+// distinctCapped, min, max, mean, topValues, maxLength, whitespace }.
+// Empty cells, cells missing from short rows and null-like words count as
+// empty; whitespace counts values with leading or trailing whitespace.
+function createColumnProfiler() {
+  const columns = [];
+  let rows = 0;
+
+  const getColumn = index => columns[index] || (columns[index] = {
+    empty: rows, // Earlier rows were too short to reach this column
+    types: {},
+    values: new Map(),
+    distinctCapped: false,
+    numbers: 0,
+    sum: 0,
+    min: null,
+    max: null,
+    maxLength: 0,
+    whitespace: 0
+  });
+
+  return {
+    add(values) {
+      const width = Math.max(values.length, columns.length);
+      for (let col = 0; col < width; col++) {
+        const column = getColumn(col);
+        const value = col < values.length ? values[col] : '';
+        const trimmed = value.trim();
+        column.maxLength = Math.max(column.maxLength, value.length);
+        if (trimmed === '' || NULL_VALUES.test(trimmed)) {
+          column.empty++;
+          continue;
+        }
+        if (trimmed !== value) column.whitespace++;
+
+        let type = getValueType(trimmed);
+        if (type === 'text' && EMAIL_PATTERN.test(trimmed)) type = 'email';
+        column.types[type] = (column.types[type] || 0) + 1;
+        // Decimals such as "1,5" or "12%" count as numbers but have no plain value
+        const number = Number(trimmed);
+        if ((type === 'integer' || type === 'decimal') && Number.isFinite(number)) {
+          column.numbers++;
+          column.sum += number;
+          if (column.min === null || number < column.min) column.min = number;
+          if (column.max === null || number > column.max) column.max = number;
+        }
+
+        const count = column.values.get(trimmed);
+        if (count !== undefined) column.values.set(trimmed, count + 1);
+        else if (column.values.size < PROFILE_MAX_DISTINCT) column.values.set(trimmed, 1);
+        else column.distinctCapped = true;
+      }
+      rows++;
+    },
+
+    finish(names = []) {
+      return columns.map((column, index) => {
+        const typeCounts = Object.entries(column.types).sort((a, b) => b[1] - a[1]);
+        // Integers and decimals together are still one numeric column
+        const families = new Set(typeCounts.map(([type]) => type === 'integer' ? 'decimal' : type));
+        let type = typeCounts.length ? typeCounts[0][0] : 'empty';
+        if (type === 'integer' && column.types.decimal) type = 'decimal';
+        const name = names[index] !== undefined ? names[index].trim() : '';
+
+        return {
+          name: name || `Column ${index + 1}`,
+          type,
+          types: column.types,
+          mixedTypes: families.size > 1,
+          empty: column.empty,
+          distinct: column.values.size,
+          distinctCapped: column.distinctCapped,
+          min: column.min,
+          max: column.max,
+          mean: column.numbers ? column.sum / column.numbers : null,
+          topValues: Array.from(column.values)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, PROFILE_TOP_VALUES)
+            .map(([value, count]) => ({ value, count })),
+          maxLength: column.maxLength,
+          whitespace: column.whitespace
+        };
+      });
+    }
+  };
+}
+
+// Profile the data rows of parsed records (skipping the header when there is one)
+function profileColumns(records, hasHeader = true) {
+  const profiler = createColumnProfiler();
+  records.slice(hasHeader ? 1 : 0).forEach(record => profiler.add(record.fields.map(field => field.value)));
+  return profiler.finish(hasHeader && records.length ? records[0].fields.map(field => field.value) : []);
+}
+
+function getCSVStats(text, dialect = DEFAULT_DIALECT, records = parseCSV(text, dialect).records) {
+  if (!text.trim()) return null;
+  
+  records = records.filter(record => !record.isEmpty);
+  if (records.length === 0) return null;
+  
+  const hasHeader = dialect.hasHeader !== undefined ? dialect.hasHeader : sniffHeader(records);
+  return {
+    rows: records.length,
+    columns: records[0].fields.length,
+    hasHeader,
+    columnProfiles: profileColumns(records, hasHeader)
+  };
+}
+
+function escapeHTML(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Data rows shown in the preview table
+const PREVIEW_ROWS = 5;
+
+function generatePreviewTable(text, dialect = DEFAULT_DIALECT) {
+  if (!text.trim()) return '';
+  
+  // Header + data rows
+  const hasHeader = dialect.hasHeader !== false;
+  const records = parseLeadingRecords(text, hasHeader ? PREVIEW_ROWS + 1 : PREVIEW_ROWS, dialect);
+  return renderPreviewRows(records.map(record => record.fields.map(field => field.value)), hasHeader);
+}
+
+// Preview table for rows of cell values. The first row is shown as the
+// header; without one the columns are labelled "Column 1", "Column 2"...
+// marks optionally decorates the data rows: marks[i] = { className, cells }
+// for the i-th data row, where cells maps column indexes to { className, title }.
+function renderPreviewRows(rows, hasHeader = true, marks = null) {
+  if (rows.length === 0) return '';
+  
+  const renderCell = (tag, cell, mark = null) => {
+    const cellText = cell.length > 30 ? cell.substring(0, 30) + '...' : cell;
+    const className = mark && mark.className ? ` class="${escapeHTML(mark.className)}"` : '';
+    return `<${tag}${className} title="${escapeHTML(mark && mark.title ? mark.title : cell)}">${escapeHTML(cellText)}</${tag}>`;
+  };
+  
+  let html = '<table class="preview-table">';
+  
+  // Header row
+  html += '<thead><tr>';
+  if (hasHeader) {
+    for (const cell of rows[0]) {
+      html += renderCell('th', cell);
+    }
+  } else {
+    for (let col = 0; col < getMaxColumnCount(rows); col++) {
+      html += `<th class="generated">Column ${col + 1}</th>`;
+    }
+  }
+  html += '</tr></thead>';
+  
+  // Data rows
+  const firstDataRow = hasHeader ? 1 : 0;
+  if (rows.length > firstDataRow) {
+    html += '<tbody>';
+    for (let i = firstDataRow; i < rows.length; i++) {
+      const mark = marks && marks[i - firstDataRow];
+      html += mark && mark.className ? `<tr class="${escapeHTML(mark.className)}">` : '<tr>';
+      rows[i].forEach((cell, column) => {
+        html += renderCell('td', cell, mark && mark.cells ? mark.cells[column] : null);
+      });
+      html += '</tr>';
+    }
+    html += '</tbody>';
+  }
+  
+  html += '</table>';
+  return html;
+}
+
+// Output encodings. Windows-1252 matches Latin-1 except for 0x80-0x9F,
+// which hold typographic characters instead of C1 controls.
+const OUTPUT_ENCODINGS = ['utf-8', 'utf-16le', 'windows-1252'];
+const BYTE_ORDER_MARKS = {
+  'utf-8': [0xEF, 0xBB, 0xBF],
+  'utf-16le': [0xFF, 0xFE]
+};
+const WINDOWS_1252_SPECIALS = new Map([
+  [0x20AC, 0x80], [0x201A, 0x82], [0x0192, 0x83], [0x201E, 0x84], [0x2026, 0x85],
+  [0x2020, 0x86], [0x2021, 0x87], [0x02C6, 0x88], [0x2030, 0x89], [0x0160, 0x8A],
+  [0x2039, 0x8B], [0x0152, 0x8C], [0x017D, 0x8E], [0x2018, 0x91], [0x2019, 0x92],
+  [0x201C, 0x93], [0x201D, 0x94], [0x2022, 0x95], [0x2013, 0x96], [0x2014, 0x97],
+  [0x02DC, 0x98], [0x2122, 0x99], [0x0161, 0x9A], [0x203A, 0x9B], [0x0153, 0x9C],
+  [0x017E, 0x9E], [0x0178, 0x9F]
+]);
+
+function toWindows1252Byte(codePoint) {
+  if (codePoint < 0x80 || (codePoint >= 0xA0 && codePoint <= 0xFF)) return codePoint;
+  return WINDOWS_1252_SPECIALS.has(codePoint) ? WINDOWS_1252_SPECIALS.get(codePoint) : null;
+}
+
+// Encode text to bytes. Characters Windows-1252 cannot represent become "?"
+// and are counted in `unmappable`.
+function encodeText(text, encoding = 'utf-8') {
+  if (encoding === 'utf-16le') {
+    const bytes = new Uint8Array(text.length * 2);
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      bytes[i * 2] = code & 0xFF;
+      bytes[i * 2 + 1] = code >> 8;
+    }
+    return { bytes, unmappable: 0 };
+  }
+  
+  if (encoding === 'windows-1252') {
+    const bytes = new Uint8Array(text.length);
+    let length = 0;
+    let unmappable = 0;
+    for (const ch of text) {
+      const byte = toWindows1252Byte(ch.codePointAt(0));
+      if (byte === null) unmappable++;
+      bytes[length++] = byte === null ? 0x3F : byte;
+    }
+    return { bytes: bytes.subarray(0, length), unmappable };
+  }
+  
+  return { bytes: new TextEncoder().encode(text), unmappable: 0 };
+}
+
+function countUnmappableChars(text, encoding) {
+  if (encoding !== 'windows-1252') return 0;
+  let unmappable = 0;
+  for (const ch of text) {
+    if (toWindows1252Byte(ch.codePointAt(0)) === null) unmappable++;
+  }
+  return unmappable;
+}
+
+function makeBlobFromText(text, addBom, encoding = 'utf-8', mimeType = 'text/csv') {
+  const parts = [];
+  // Windows-1252 has no byte order mark, so the option is ignored for it
+  if (addBom && BYTE_ORDER_MARKS[encoding]) {
+    parts.push(new Uint8Array(BYTE_ORDER_MARKS[encoding]));
+  }
+  parts.push(encodeText(text, encoding).bytes);
+  return new Blob(parts, { type: `${mimeType};charset=${encoding}` });
+}
+
+// Input encodings for uploads, by TextDecoder label. A byte order mark
+// decides the encoding; without one, text with a zero in every other byte
+// is UTF-16, valid UTF-8 is UTF-8, and anything else is decoded with each
+// single-byte candidate and the most plausible result wins.
+const INPUT_ENCODINGS = {
+  'utf-8': 'UTF-8',
+  'utf-16le': 'UTF-16LE',
+  'utf-16be': 'UTF-16BE',
+  'windows-1252': 'Windows-1252 (Western)',
+  'iso-8859-15': 'ISO-8859-15 (Western, with €)',
+  'windows-1250': 'Windows-1250 (Central European)',
+  'windows-1251': 'Windows-1251 (Cyrillic)',
+  'koi8-r': 'KOI8-R (Cyrillic)',
+  'macintosh': 'Mac Roman',
+  'shift_jis': 'Shift JIS (Japanese)',
+  'gbk': 'GBK (Chinese)',
+  'big5': 'Big5 (Chinese)',
+  'euc-kr': 'EUC-KR (Korean)'
+};
+const SINGLE_BYTE_ENCODINGS = ['windows-1252', 'windows-1250', 'windows-1251'];
+const ENCODING_SAMPLE_BYTES = 64 * 1024;
+
+// Detect the encoding of a file from its bytes, or the start of them when
+// `complete` is false. Returns { encoding, reason }.
+function detectEncoding(bytes, complete = true) {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return { encoding: 'utf-8', reason: 'byte order mark' };
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return { encoding: 'utf-16le', reason: 'byte order mark' };
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return { encoding: 'utf-16be', reason: 'byte order mark' };
+
+  // In UTF-16 text of Latin or Cyrillic script every other byte is the
+  // high byte of a character, 0x00 or 0x04, which text never has otherwise
+  const sample = bytes.subarray(0, ENCODING_SAMPLE_BYTES);
+  const highBytes = [0, 0];
+  sample.forEach((byte, index) => {
+    if (byte < 0x09) highBytes[index % 2]++;
+  });
+  const pairs = sample.length / 2;
+  if (highBytes[1] > pairs * 0.3 && highBytes[0] < pairs * 0.05) return { encoding: 'utf-16le', reason: 'UTF-16 byte pattern' };
+  if (highBytes[0] > pairs * 0.3 && highBytes[1] < pairs * 0.05) return { encoding: 'utf-16be', reason: 'UTF-16 byte pattern' };
+
+  try {
+    // stream: true accepts a character cut off at the end of a partial read
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: !complete });
+    return { encoding: 'utf-8', reason: bytes.some(byte => byte >= 0x80) ? 'valid UTF-8' : 'plain ASCII' };
+  } catch (err) {
+    const scored = SINGLE_BYTE_ENCODINGS.map(encoding => ({ encoding, score: scoreDecodedText(new TextDecoder(encoding).decode(sample)) }));
+    const best = scored.reduce((best, candidate) => candidate.score > best.score ? candidate : best);
+    return { encoding: best.encoding, reason: 'not UTF-8, best single-byte match' };
+  }
+}
+
+// How plausible text decoded with a single-byte encoding looks. Words with
+// non-ASCII letters count for it when they stick to one script, and against
+// it when they mix scripts or are Latin without a single ASCII letter (what
+// Cyrillic read as Windows-1252 looks like). Symbols inside words and
+// control characters count against it too.
+function scoreDecodedText(text) {
+  let score = 0;
+  for (const word of text.match(/[^\x00-\x40\x5B-\x60\x7B-\x7F]{2,}/g) || []) {
+    if (!/[^\x00-\x7F]/.test(word)) continue;
+    if (/[\u0080-\u009F\uFFFD]/.test(word)) {
+      score -= 5;
+      continue;
+    }
+    score -= (word.match(/[^\p{L}\x00-\x7F]/gu) || []).length;
+    const latin = /^\p{Script=Latin}+$/u.test(word.replace(/[^\p{L}]/gu, ''));
+    const cyrillic = /^\p{Script=Cyrillic}+$/u.test(word.replace(/[^\p{L}]/gu, ''));
+    if (cyrillic || (latin && /[A-Za-z]/.test(word))) score++;
+    else score -= latin ? 1 : 2;
+  }
+  return score;
+}
+
+// Decode bytes with an encoding from INPUT_ENCODINGS. A byte order mark
+// matching the encoding is dropped.
+function decodeBytes(bytes, encoding = 'utf-8') {
+  return new TextDecoder(encoding).decode(bytes);
+}
+
+// Download formats. Everything but CSV is written row by row through
+// createExportWriter, so file mode can stream them too. Only the
+// spreadsheet formats get a byte order mark (JSON must not have one).
+const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', allowsBom: true },
+  tsv: { label: 'TSV', extension: 'tsv', mimeType: 'text/tab-separated-values', allowsBom: true },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  ndjson: { label: 'NDJSON', extension: 'ndjson', mimeType: 'application/x-ndjson' },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  html: { label: 'HTML', extension: 'html', mimeType: 'text/html' },
+  sql: { label: 'SQL', extension: 'sql', mimeType: 'application/sql' }
+};
+const TSV_DIALECT = { delimiter: '\t', quote: '"', quoting: 'minimal' };
+const SQL_IDENTIFIER_QUOTES = {
+  double: ['"', '"'],
+  backtick: ['`', '`'],
+  bracket: ['[', ']'],
+  none: ['', '']
+};
+
+// Keys for the header row: blanks become column_N and repeats get a _2, _3... suffix
+function getExportKeys(headerValues) {
+  const used = new Set();
+  return headerValues.map((value, index) => {
+    const base = value.trim() || `column_${index + 1}`;
+    let key = base;
+    for (let n = 2; used.has(key); n++) key = `${base}_${n}`;
+    used.add(key);
+    return key;
+  });
+}
+
+function quoteSQLIdentifier(name, style = 'double') {
+  const [open, close] = SQL_IDENTIFIER_QUOTES[style] || SQL_IDENTIFIER_QUOTES.double;
+  if (!open) return name;
+  return open + name.split(close).join(close + close) + close;
+}
+
+// Plain integers and decimals are written unquoted; leading zeros (zip codes,
+// ids) stay strings. Empty cells become NULL.
+function formatSQLValue(value) {
+  if (value === '') return 'NULL';
+  if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(value)) return value;
+  return `'${value.split("'").join("''")}'`;
+}
+
+function escapeMarkdownCell(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+// Stateful writer turning rows of values into one export format.
+// options: { hasHeader, headerAsKeys, pretty, tableName, identifierQuote, lineEnding }
+// hasHeader decides whether the first row is a header for Markdown, HTML and
+// SQL; JSON and NDJSON use it as object keys when headerAsKeys is set.
+// start(), row(values) and end() each return the next piece of output.
+function createExportWriter(format, options = {}) {
+  const eol = options.lineEnding || '\r\n';
+  const usesKeys = format === 'json' || format === 'ndjson'
+    ? options.headerAsKeys !== false
+    : format !== 'tsv' && options.hasHeader !== false;
+  let keys = null;
+  let sawFirstRow = false;
+  let rowCount = 0;
+
+  const keyAt = index => index < keys.length ? keys[index] : `column_${index + 1}`;
+
+  const toJSONValue = (values) => {
+    if (!keys) return values;
+    const object = {};
+    const count = Math.max(keys.length, values.length);
+    for (let i = 0; i < count; i++) {
+      object[keyAt(i)] = i < values.length ? values[i] : '';
+    }
+    return object;
+  };
+
+  const markdownLine = cells => `| ${cells.map(escapeMarkdownCell).join(' | ')} |` + eol;
+  const markdownHeader = cells => markdownLine(cells) + `|${cells.map(() => ' --- ').join('|')}|` + eol;
+
+  const writers = {
+    tsv: {
+      row: values => (rowCount++ ? eol : '') + formatCSVRow(values, TSV_DIALECT)
+    },
+    json: {
+      start: () => '[',
+      row: (values) => {
+        const json = options.pretty
+          ? JSON.stringify(toJSONValue(values), null, 2).replace(/\n/g, eol + '  ')
+          : JSON.stringify(toJSONValue(values));
+        return (rowCount++ ? ',' : '') + (options.pretty ? eol + '  ' : '') + json;
+      },
+      end: () => (options.pretty && rowCount ? eol : '') + ']' + eol
+    },
+    ndjson: {
+      row: values => JSON.stringify(toJSONValue(values)) + eol
+    },
+    markdown: {
+      header: markdownHeader,
+      // Markdown tables need a header, so headerless data gets numbered columns
+      row: values => (rowCount++ || keys ? '' : markdownHeader(values.map((value, index) => `Column ${index + 1}`))) + markdownLine(values)
+    },
+    html: {
+      start: () => '<table>' + eol,
+      header: values => `  <thead>${eol}    <tr>${values.map(value => `<th>${formatHTMLCell(value)}</th>`).join('')}</tr>${eol}  </thead>${eol}`,
+      row: values => (rowCount++ ? '' : `  <tbody>${eol}`) + `    <tr>${values.map(value => `<td>${formatHTMLCell(value)}</td>`).join('')}</tr>${eol}`,
+      end: () => (rowCount ? `  </tbody>${eol}` : '') + '</table>' + eol
+    },
+    sql: {
+      row: (values) => {
+        const table = quoteSQLIdentifier(options.tableName || 'data', options.identifierQuote);
+        const columns = keys ? ` (${values.map((value, index) => quoteSQLIdentifier(keyAt(index), options.identifierQuote)).join(', ')})` : '';
+        return `INSERT INTO ${table}${columns} VALUES (${values.map(formatSQLValue).join(', ')});${eol}`;
+      }
+    }
+  };
+  const writer = writers[format];
+  if (!writer) throw new Error(`Unknown export format: ${format}`);
+
+  return {
+    start: () => writer.start ? writer.start() : '',
+    row(values) {
+      const isHeader = !sawFirstRow && usesKeys;
+      sawFirstRow = true;
+      if (!isHeader) return writer.row(values);
+      keys = getExportKeys(values);
+      return writer.header ? writer.header(values) : '';
+    },
+    end: () => writer.end ? writer.end() : ''
+  };
+}
+
+function formatHTMLCell(value) {
+  return escapeHTML(value).replace(/\r?\n/g, '<br>');
+}
+
+// Export parsed records (empty records are skipped) in one of EXPORT_FORMATS
+function exportRecords(records, format, options = {}) {
+  const writer = createExportWriter(format, options);
+  let out = writer.start();
+  for (const record of records) {
+    if (!record.isEmpty) out += writer.row(record.fields.map(field => field.value));
+  }
+  return out + writer.end();
+}
+
+// Import: tables pasted or uploaded in other formats are converted to CSV.
+// Each parser returns { rows, notes } (notes are short remarks for the user
+// about what was changed) or null when the text isn't in its format.
+const IMPORT_FORMATS = {
+  html: 'HTML table',
+  json: 'JSON',
+  ndjson: 'NDJSON',
+  markdown: 'Markdown table',
+  tsv: 'TSV'
+};
+
+function formatJSONCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return value;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Nested objects become dotted keys ("address.city"); arrays stay JSON text
+function flattenJSONObject(value, prefix = '', out = {}) {
+  for (const key of Object.keys(value)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const child = value[key];
+    if (child !== null && typeof child === 'object' && !Array.isArray(child) && Object.keys(child).length > 0) {
+      flattenJSONObject(child, path, out);
+    } else {
+      out[path] = formatJSONCell(child);
+    }
+  }
+  return out;
+}
+
+// Rows from a list of JSON items: arrays are rows as they are; objects are
+// flattened and share a header that is the union of their keys, in the order
+// they first appear; anything else goes in a single "value" column.
+function jsonItemsToTable(items) {
+  if (items.length > 0 && items.every(Array.isArray)) {
+    return { rows: items.map(item => item.map(formatJSONCell)), notes: [] };
+  }
+
+  const objects = items.map(item => item !== null && typeof item === 'object' && !Array.isArray(item)
+    ? flattenJSONObject(item)
+    : { value: formatJSONCell(item) });
+  const header = [];
+  const seen = new Set();
+  for (const object of objects) {
+    for (const key of Object.keys(object)) {
+      if (!seen.has(key)) {
+        seen.add(key);
+        header.push(key);
+      }
+    }
+  }
+
+  const partialKeys = header.filter(key => objects.some(object => !(key in object)));
+  const notes = [];
+  if (objects.some(object => Object.keys(object).some(key => key.includes('.')))) {
+    notes.push('nested objects were flattened to dotted column names');
+  }
+  if (partialKeys.length > 0) {
+    notes.push(`${partialKeys.length} column(s) missing from some objects were left blank`);
+  }
+  return {
+    rows: [header, ...objects.map(object => header.map(key => key in object ? object[key] : ''))],
+    notes
+  };
+}
+
+// A JSON array (or an object wrapping one, like { "data": [...] }), a single
+// object, or newline-delimited JSON objects. Items with nothing to put in a
+// column, like {} or [[]], are not a table.
+function parseJSONTable(text) {
+  const trimmed = text.trim();
+  if (!/^[[{]/.test(trimmed)) return null;
+
+  let data;
+  try {
+    data = JSON.parse(trimmed);
+  } catch (err) {
+    const lines = trimmed.split(/\r?\n/).filter(line => line.trim());
+    try {
+      const items = lines.map(line => JSON.parse(line));
+      return toJSONTable(items, 'ndjson');
+    } catch (lineErr) {
+      return null;
+    }
+  }
+
+  if (!Array.isArray(data)) {
+    const arrays = Object.values(data).filter(Array.isArray);
+    data = arrays.length === 1 ? arrays[0] : [data];
+  }
+  return toJSONTable(data, 'json');
+}
+
+function toJSONTable(items, format) {
+  const table = jsonItemsToTable(items);
+  return getMaxColumnCount(table.rows) > 0 ? { ...table, format } : null;
+}
+
+// Alignment row under a Markdown table header, e.g. | :--- | ---: | :-: |
+const MARKDOWN_ALIGNMENT_ROW = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Cells of one Markdown table row; \| is a literal pipe and <br> a line break
+function splitMarkdownRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+  const cells = [];
+  let cell = '';
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === '\\' && row[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (row[i] === '|') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += row[i];
+    }
+  }
+  cells.push(cell);
+  return cells.map(value => value.trim().replace(/<br\s*\/?>/gi, '\n'));
+}
+
+// A GitHub-style pipe table: header, alignment row, then body rows until the
+// first line that isn't part of the table
+function parseMarkdownTable(text) {
+  const trimmed = text.trim();
+  // Only split the whole text once its first two lines can start a table
+  const head = /^[^\n]*(\n[^\n]*)?/.exec(trimmed)[0].split(/\r?\n/);
+  if (head.length < 2 || !head[0].includes('|') || !head[1].includes('|') || !MARKDOWN_ALIGNMENT_ROW.test(head[1])) {
+    return null;
+  }
+  const lines = trimmed.split(/\r?\n/);
+
+  const rows = [splitMarkdownRow(lines[0])];
+  let index = 2;
+  for (; index < lines.length && lines[index].includes('|'); index++) {
+    rows.push(splitMarkdownRow(lines[index]));
+  }
+
+  const notes = ['alignment row removed'];
+  const ignored = lines.slice(index).filter(line => line.trim()).length;
+  if (ignored > 0) notes.push(`${ignored} line(s) after the table were ignored`);
+  return { rows, notes, format: 'markdown' };
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeHTMLEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+    }
+    const decoded = HTML_ENTITIES[entity.toLowerCase()];
+    return decoded === undefined ? match : decoded;
+  });
+}
+
+// Text of one table cell: markup removed, whitespace collapsed as a browser
+// would, with <br> and block ends kept as line breaks
+function getHTMLCellText(html) {
+  const text = html
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+    .replace(/\s+/g, ' ')
+    .replace(/<br\s*\/?>|<\/(p|div|li)>/gi, '\n')
+    .replace(/<[^>]*>/g, '');
+  return decodeHTMLEntities(text).split('\n').map(line => line.trim()).join('\n').trim();
+}
+
+// The first <table> in an HTML fragment, as copied from a web page or a
+// spreadsheet. Cells spanning several columns are padded with empty cells.
+// Works on the markup as text, so it runs without a DOM (in the worker too).
+function parseHTMLTable(html) {
+  const table = /<table[\s>][\s\S]*?<\/table>/i.exec(html);
+  if (!table) return null;
+
+  const rows = [];
+  let spanned = 0;
+  const rowPattern = /<tr[\s>]([\s\S]*?)(?=<tr[\s>]|<\/table>)/gi;
+  let rowMatch;
+  while ((rowMatch = rowPattern.exec(table[0])) !== null) {
+    const row = [];
+    // Closing tags are optional in HTML, so a cell runs until the next cell or row
+    const cellPattern = /<(td|th)([^>]*)>([\s\S]*?)(?=<\/?(?:td|th|tr|tbody|thead|tfoot)[\s>]|$)/gi;
+    let cellMatch;
+    while ((cellMatch = cellPattern.exec(rowMatch[1])) !== null) {
+      row.push(getHTMLCellText(cellMatch[3]));
+      const colspan = /colspan\s*=\s*["']?(\d+)/i.exec(cellMatch[2]);
+      const extra = colspan ? Math.min(Number(colspan[1]), 1000) - 1 : 0;
+      for (let i = 0; i < extra; i++) row.push('');
+      if (extra > 0) spanned++;
+    }
+    if (row.length > 0) rows.push(row);
+  }
+  if (rows.length === 0) return null;
+
+  const notes = [];
+  if (spanned > 0) notes.push(`${spanned} merged cell(s) were split into empty columns`);
+  if (/<\/table>[\s\S]*<table[\s>]/i.test(html)) notes.push('only the first table was imported');
+  return { rows, notes, format: 'html' };
+}
+
+// Tab-separated text, such as cells copied from a spreadsheet as plain text
+function parseTSVTable(text) {
+  if (!/^[^\r\n]*\t/.test(text)) return null;
+  const dialect = sniffDialect(text);
+  if (dialect.delimiter !== '\t' || dialect.confidence < 0.5) return null;
+  return { rows: recordsToRows(parseCSV(text, dialect).records), notes: [], format: 'tsv' };
+}
+
+// Recognise a table in one of `formats` (keys of IMPORT_FORMATS). Returns the
+// parse result (with its `format`), or null for anything else, CSV included.
+function detectImportTable(text, formats = Object.keys(IMPORT_FORMATS)) {
+  if (!text || !text.trim()) return null;
+  const parsers = [
+    ['html', () => /<table[\s>]/i.test(text) ? parseHTMLTable(text) : null],
+    ['json', () => parseJSONTable(text)],
+    ['markdown', () => parseMarkdownTable(text)],
+    ['tsv', () => parseTSVTable(text)]
+  ];
+  for (const [name, parse] of parsers) {
+    // NDJSON is recognised by the JSON parser
+    if (!formats.includes(name) && !(name === 'json' && formats.includes('ndjson'))) continue;
+    const table = parse();
+    if (table && formats.includes(table.format)) return table;
+  }
+  return null;
+}
+
+// Convert a recognised table to comma-separated text. Rows are padded to the
+// widest row so the result validates. Returns { csv, format, label, rows,
+// columns, notes } or null.
+function importTable(text, formats = Object.keys(IMPORT_FORMATS)) {
+  const table = detectImportTable(text, formats);
+  if (!table || table.rows.length === 0) return null;
+
+  const columns = getMaxColumnCount(table.rows);
+  const rows = table.rows.map(row => row.length < columns ? row.concat(new Array(columns - row.length).fill('')) : row);
+  return {
+    csv: rowsToCSVText(rows, DEFAULT_DIALECT, '\n') + '\n',
+    format: table.format,
+    label: IMPORT_FORMATS[table.format],
+    rows: rows.length,
+    columns,
+    notes: table.notes
+  };
+}
+
+// Extraction of tables from chat responses: fenced code blocks first, then
+// runs of consecutive lines that split into the same number of fields (two or
+// more) with one of the known delimiters. Runs are found line by line, so a
+// quoted field spanning lines ends a run.
+const CODE_FENCE = /^[ \t]*(`{3,}|~{3,})[ \t]*([\w+-]*)[^\n]*\n([\s\S]*?)\n[ \t]*\1[ \t]*$/gm;
+const MIN_EXTRACTED_ROWS = 2;
+const EXTRACT_IMPORT_FORMATS = ['html', 'json', 'ndjson', 'markdown'];
+
+function getLineAtOffset(text, offset) {
+  return countLines(text.slice(0, offset + 1)) || 1;
+}
+
+// A code block's content as CSV, converting other table formats on the way
+function tableFromBlock(content) {
+  const imported = importTable(content, EXTRACT_IMPORT_FORMATS);
+  if (imported) return { csv: imported.csv, rows: imported.rows, columns: imported.columns, format: imported.label };
+
+  const dialect = sniffDialect(content);
+  const records = parseCSV(content, dialect).records.filter(record => !record.isEmpty);
+  if (dialect.confidence < 0.8 || records.length < MIN_EXTRACTED_ROWS) return null;
+  const { columns } = scoreDialect(records);
+  return { csv: content.replace(/\s+$/, '') + '\n', rows: records.length, columns, format: `${describeDelimiter(dialect.delimiter)} table` };
+}
+
+// Whether an edge line of a run reads like the rest of it (rows): no cell
+// of another type than every value of its column (unless checkTypes is off,
+// for a first line that may be the header), and no cell that starts with a
+// space, unlike its column, and runs on longer than any of its values, the
+// way a sentence split at its commas does
+function fitsRun(values, rows, checkTypes) {
+  // Whole and decimal numbers mix in one column
+  const getType = value => getValueType(value).replace('integer', 'decimal');
+  return values.every((value, col) => {
+    const column = rows.map(row => row[col]);
+    const type = getType(value);
+    const types = new Set(column.map(getType).filter(columnType => columnType !== 'empty'));
+    if (checkTypes && type !== 'empty' && types.size === 1 && !types.has('text') && !types.has(type)) return false;
+    const longest = Math.max(...column.map(columnValue => columnValue.trim().length));
+    return !/^\s/.test(value) || column.some(columnValue => /^\s/.test(columnValue)) || value.trim().length <= longest;
+  });
+}
+
+// Longest runs of lines with a constant field count, per delimiter, less the
+// edge lines that don't fit in (see fitsRun). Returns [{ startLine, endLine }]
+// with 0-based, inclusive line indexes.
+function findConsistentRuns(lines, delimiter) {
+  const runs = [];
+  const rows = [];
+  let start = 0;
+  let columns = 0;
+  const dialect = { delimiter, quote: '"' };
+  for (let i = 0; i <= lines.length; i++) {
+    rows[i] = i < lines.length && lines[i].trim() ? parseCSVLine(lines[i], dialect).map(field => field.value) : [];
+    const count = rows[i].length;
+    if (count >= 2 && count === columns) continue;
+    if (columns >= 2) {
+      let first = start;
+      let last = i - 1;
+      while (last - first + 1 > MIN_EXTRACTED_ROWS && !fitsRun(rows[last], rows.slice(first + 1, last), true)) last--;
+      while (last - first + 1 > MIN_EXTRACTED_ROWS && !fitsRun(rows[first], rows.slice(first + 1, last + 1), false)) first++;
+      if (last - first + 1 >= MIN_EXTRACTED_ROWS) runs.push({ startLine: first, endLine: last });
+    }
+    start = i;
+    columns = count;
+  }
+  return runs;
+}
+
+// Every table found in the text, in document order:
+// [{ label, csv, rows, columns, line, endLine, fenced }]
+// `best` is the one with the most rows, fenced blocks winning ties.
+function extractTables(text) {
+  const candidates = [];
+  // Fenced blocks are blanked out (keeping line numbers) before looking for runs
+  let unfenced = text;
+  let match;
+  CODE_FENCE.lastIndex = 0;
+  while ((match = CODE_FENCE.exec(text)) !== null) {
+    const table = tableFromBlock(match[3]);
+    const line = getLineAtOffset(text, match.index);
+    const endLine = line + countLines(match[0]) - 1;
+    unfenced = unfenced.slice(0, match.index) + match[0].replace(/[^\n]/g, ' ') + unfenced.slice(match.index + match[0].length);
+    if (!table) continue;
+    const language = match[2] ? `${match[2]} ` : '';
+    candidates.push({ ...table, label: `${language}code block (${table.format}, lines ${line}–${endLine})`, line, endLine, fenced: true });
+  }
+
+  // Largest runs first; a line belongs to at most one table
+  const lines = unfenced.split(/\r?\n/);
+  const runs = Object.values(DELIMITERS)
+    .flatMap(delimiter => findConsistentRuns(lines, delimiter))
+    .sort((a, b) => (b.endLine - b.startLine) - (a.endLine - a.startLine));
+  const taken = new Set();
+  for (const run of runs) {
+    let free = true;
+    for (let i = run.startLine; i <= run.endLine && free; i++) free = !taken.has(i);
+    if (!free) continue;
+    for (let i = run.startLine; i <= run.endLine; i++) taken.add(i);
+
+    const table = tableFromBlock(lines.slice(run.startLine, run.endLine + 1).join('\n'));
+    if (!table) continue;
+    const line = run.startLine + 1;
+    const endLine = run.endLine + 1;
+    candidates.push({ ...table, label: `${table.format} (lines ${line}–${endLine})`, line, endLine, fenced: false });
+  }
+
+  candidates.sort((a, b) => a.line - b.line);
+  const best = candidates.reduce((top, candidate) => {
+    if (!top || candidate.rows > top.rows || (candidate.rows === top.rows && candidate.fenced && !top.fenced)) return candidate;
+    return top;
+  }, null);
+  return { candidates, best };
+}
+
+// Grid view helpers: rows are arrays of cell strings, edited in place
+function recordsToRows(records) {
+  return records.filter(record => !record.isEmpty).map(record => record.fields.map(field => field.value));
+}
+
+function rowsToCSVText(rows, dialect = DEFAULT_DIALECT, lineEnding = '\n') {
+  return rows.map(row => formatCSVRow(row, dialect)).join(lineEnding);
+}
+
+function getMaxColumnCount(rows) {
+  return rows.reduce((max, row) => Math.max(max, row.length), 0);
+}
+
+function insertGridRow(rows, index, columnCount) {
+  rows.splice(index, 0, new Array(Math.max(columnCount, 1)).fill(''));
+}
+
+function moveGridRow(rows, from, to) {
+  if (to < 0 || to >= rows.length) return false;
+  const [row] = rows.splice(from, 1);
+  rows.splice(to, 0, row);
+  return true;
+}
+
+// Column operations skip rows too short to have the column (ragged rows stay ragged)
+function insertGridColumn(rows, index) {
+  for (const row of rows) {
+    if (index <= row.length) row.splice(index, 0, '');
+  }
+}
+
+function deleteGridColumn(rows, index) {
+  for (const row of rows) {
+    if (index < row.length) row.splice(index, 1);
+  }
+}
+
+function moveGridColumn(rows, from, to) {
+  for (const row of rows) {
+    if (from < row.length && to >= 0 && to < row.length) {
+      const [value] = row.splice(from, 1);
+      row.splice(to, 0, value);
+    }
+  }
+}
+
+// Spreadsheet-style column label: 0 -> A, 25 -> Z, 26 -> AA
+function getColumnLabel(index) {
+  let label = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    label = String.fromCharCode(65 + remainder) + label;
+    n = Math.floor((n - 1) / 26);
+  }
+  return label;
+}
+
+
+// Number of lines as the editor's line-number gutter counts them
+function countLines(text) {
+  if (!text) return 0;
+  let count = 1;
+  let index = -1;
+  while ((index = text.indexOf('\n', index + 1)) !== -1) count++;
+  return count;
+}
+
+// Background jobs. Both run in csv-worker.js, or directly on the main thread
+// when workers are unavailable (e.g. the page was opened from file://).
+// onProgress receives { phase, done, total }; isCancelled is polled between
+// chunks so a newer job can replace a running one.
+const ANALYZE_CHUNK_CHARS = 1024 * 1024;
+const MAX_ERROR_CONTENT_CHARS = 200;
+
+function waitForNextTask() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// Sniff, parse, validate and summarise a document in chunks.
+// payload: { text, overrides, schema }; with a schema its violations are
+// merged into the errors by line. Resolves to null when cancelled.
+async function analyzeDocument(payload, onProgress = () => {}, isCancelled = () => false) {
+  const text = payload.text || '';
+  const dialect = sniffDialect(text, payload.overrides || {});
+  const records = [];
+  let nextReport = ANALYZE_CHUNK_CHARS;
+
+  for (const record of iterateCSVRecords(text, dialect)) {
+    records.push(record);
+    if (record.end >= nextReport) {
+      onProgress({ phase: 'parsing', done: record.end, total: text.length });
+      await waitForNextTask();
+      if (isCancelled()) return null;
+      nextReport = record.end + ANALYZE_CHUNK_CHARS;
+    }
+  }
+
+  onProgress({ phase: 'validating', done: text.length, total: text.length });
+  const validation = validateAndFixCSV(text, dialect, records);
+  const stats = getCSVStats(text, dialect, records);
+  let errors = validation.errors;
+  if (payload.schema && !validation.isNotCSV) {
+    errors = errors.concat(validateSchema(records, payload.schema, dialect.hasHeader !== false))
+      .sort((a, b) => a.line - b.line);
+  }
+
+  return {
+    dialect,
+    stats,
+    errors: errors.map(err => err.content.length > MAX_ERROR_CONTENT_CHARS
+      ? { ...err, content: err.content.slice(0, MAX_ERROR_CONTENT_CHARS) }
+      : err),
+    expectedColumnCount: validation.expectedColumnCount,
+    headerLine: validation.headerLine,
+    isNotCSV: !!validation.isNotCSV
+  };
+}
+
+// Writer options for a clean job: the export options, plus the header flag of
+// the input and the output line ending
+function getExportWriterOptions(payload, outputDialect) {
+  return {
+    ...(payload.exportOptions || {}),
+    hasHeader: (payload.dialect || DEFAULT_DIALECT).hasHeader,
+    lineEnding: outputDialect.lineEnding
+  };
+}
+
+// cleanHeaders always trims, fills blanks and dedupes; its case option picks the naming style
+function getHeaderCleanupOptions(options) {
+  return { trim: true, fillBlanks: true, dedupe: true, case: options.case };
+}
+
+// Cleanup pipeline. Every cleanup is a registered step:
+//   { name, label, options, run, transformChunk, createRowScanner, createRowFilter, explainCell }
+// options describes its settings as [{ name, label, type, default, choices,
+// placeholder }] where type is 'select' (choices: [{ value, label }]),
+// 'checkbox' or 'text'. run(text, dialect, options) rewrites the document and
+// returns { text, dialect, problems }, problems optionally listing the cells
+// it had to leave alone as { row, line, column, value, message } (row
+// indexing parseCSV's records). File mode streams instead:
+// transformChunk(chunk, options) rewrites the decoded text before it is
+// parsed (so it runs ahead of every row step), and createRowFilter(options,
+// dialect, scan, report) returns a function (values, record) => values, or
+// null to drop the row, calling report(problem) for such cells. A step that
+// has to see every row first returns a scanner from createRowScanner(options,
+// dialect), { passes, startPass(pass), add(values, record) }: the file is
+// read `passes` extra times through the steps before it, and the scanner is
+// handed to createRowFilter as `scan`. Steps with no streaming hooks have
+// nothing to do in file mode. explainCell(value, options), if given, names
+// the fixes made to a cell for the cleanup report.
+const CLEANUP_STEPS = [];
+
+function registerCleanupStep(step) {
+  if (getCleanupStep(step.name)) throw new Error(`Cleanup step "${step.name}" is already registered`);
+  CLEANUP_STEPS.push({ options: [], ...step });
+}
+
+function getCleanupStep(name) {
+  return CLEANUP_STEPS.find(step => step.name === name) || null;
+}
+
+registerCleanupStep({
+  name: 'repairUnicode',
+  label: 'Repair Unicode text',
+  options: [
+    { name: 'mojibake', label: 'Fix mojibake (Ã©)', type: 'checkbox', default: true },
+    {
+      name: 'form',
+      label: 'Unicode form',
+      type: 'select',
+      default: 'NFC',
+      choices: [{ value: '', label: 'Keep form' }].concat(UNICODE_FORMS.map(form => ({ value: form, label: form })))
+    },
+    { name: 'invisible', label: 'Fix invisible characters', type: 'checkbox', default: true }
+  ],
+  run: (text, dialect, options) => ({ text: repairUnicodeText(text, dialect, options), dialect }),
+  createRowFilter: options => (values, record) => record.isEmpty || record.unterminated ? values : values.map(value => repairCellText(value, options).value),
+  explainCell: (value, options) => repairCellText(value, options).fixes
+});
+
+registerCleanupStep({
+  name: 'fixSmartQuotes',
+  label: 'Fix smart quotes, dashes and ellipses',
+  run: (text, dialect) => ({ text: fixSmartQuotes(text, dialect), dialect }),
+  createRowFilter: () => (values, record) => record.isEmpty || record.unterminated ? values : values.map(fixTypography),
+  explainCell: value => describeTypography(value)
+});
+
+registerCleanupStep({
+  name: 'trimWhitespace',
+  label: 'Trim field whitespace',
+  run: (text, dialect) => ({ text: trimFieldWhitespace(text, dialect), dialect }),
+  createRowFilter: () => (values, record) => record.isEmpty || record.unterminated ? values : values.map(value => value.trim())
+});
+
+registerCleanupStep({
+  name: 'normalizeValues',
+  label: 'Normalize numbers, dates and yes/no values',
+  options: [
+    { name: 'numberColumns', label: 'Number columns', type: 'text', default: '' },
+    {
+      name: 'numberFrom',
+      label: 'Numbers written as',
+      type: 'select',
+      default: 'en',
+      choices: Object.keys(NUMBER_LOCALES).filter(key => key !== 'plain').map(key => ({ value: key, label: `From ${NUMBER_LOCALES[key].label}` }))
+    },
+    {
+      name: 'numberTo',
+      label: 'Write numbers as',
+      type: 'select',
+      default: 'plain',
+      choices: Object.keys(NUMBER_LOCALES).map(key => ({ value: key, label: `To ${NUMBER_LOCALES[key].label}` }))
+    },
+    { name: 'dateColumns', label: 'Date columns', type: 'text', default: '' },
+    {
+      name: 'dateFormat',
+      label: 'Dates written as',
+      type: 'select',
+      default: 'D/M/YYYY',
+      choices: Object.keys(DATE_INPUT_FORMATS).map(key => ({ value: key, label: `Dates as ${DATE_INPUT_FORMATS[key]}` }))
+    },
+    { name: 'booleanColumns', label: 'Yes/no columns', type: 'text', default: '' },
+    {
+      name: 'booleanPair',
+      label: 'Write yes/no as',
+      type: 'select',
+      default: 'true/false',
+      choices: BOOLEAN_PAIRS.map(pair => ({ value: pair, label: `As ${pair}` }))
+    }
+  ],
+  run: (text, dialect, options) => ({ ...normalizeValuesText(text, dialect, options), dialect }),
+  createRowFilter: (options, dialect, scan, report) => createValueNormalizer(options, dialect, report)
+});
+
+registerCleanupStep({
+  name: 'cleanHeaders',
+  label: 'Clean up header names',
+  options: [{
+    name: 'case',
+    label: 'Naming style',
+    type: 'select',
+    default: '',
+    choices: [{ value: '', label: 'Keep case' }].concat(Object.keys(HEADER_CASES).map(key => ({ value: key, label: HEADER_CASES[key].label })))
+  }],
+  run: (text, dialect, options) => ({
+    text: dialect.hasHeader !== false ? cleanHeaderRow(text, dialect, getHeaderCleanupOptions(options)) : text,
+    dialect
+  }),
+  createRowFilter: (options, dialect) => {
+    let pending = dialect.hasHeader !== false;
+    return (values, record) => {
+      if (!pending || record.isEmpty || record.unterminated) return values;
+      pending = false;
+      return cleanHeaderNames(values, getHeaderCleanupOptions(options));
+    };
+  }
+});
+
+registerCleanupStep({
+  name: 'removeEmptyRows',
+  label: 'Remove empty rows',
+  run: (text, dialect) => ({ text: removeEmptyRows(text, dialect), dialect }),
+  createRowFilter: () => (values, record) => record.isEmpty ? null : values
+});
+
+registerCleanupStep({
+  name: 'removeDuplicates',
+  label: 'Remove duplicate rows',
+  options: [
+    { name: 'keyColumns', label: 'Key columns', placeholder: 'Key columns (all)', type: 'text', default: '' },
+    { name: 'ignoreCase', label: 'Ignore case', type: 'checkbox', default: false },
+    { name: 'ignoreWhitespace', label: 'Ignore whitespace', type: 'checkbox', default: true },
+    {
+      name: 'strategy',
+      label: 'Duplicates',
+      type: 'select',
+      default: 'first',
+      choices: Object.keys(DEDUPE_STRATEGIES).map(key => ({ value: key, label: DEDUPE_STRATEGIES[key] }))
+    }
+  ],
+  run: (text, dialect, options) => ({ text: removeDuplicateRows(text, dialect, options), dialect }),
+  // Keeping the last or merged row needs each group's size up front, and
+  // merging needs the merged values, so those scan the rows first
+  createRowScanner: (options, dialect) => {
+    if (options.strategy !== 'last' && options.strategy !== 'merge') return null;
+    const counts = new Map();
+    const merged = new Map();
+    let pass = 0;
+    let keyFor = null;
+    return {
+      passes: options.strategy === 'merge' ? 2 : 1,
+      counts,
+      merged,
+      startPass(number) {
+        pass = number;
+        keyFor = createDuplicateKeyReader(options, dialect);
+      },
+      add(values, record) {
+        const key = keyFor(values, record);
+        if (key === null) return;
+        if (pass === 0) counts.set(key, (counts.get(key) || 0) + 1);
+        else if (counts.get(key) > 1) merged.set(key, merged.has(key) ? mergeRowValues(merged.get(key), values) : values);
+      }
+    };
+  },
+  createRowFilter: (options, dialect, scan) => {
+    const keyFor = createDuplicateKeyReader(options, dialect);
+    const seen = new Map();
+    return (values, record) => {
+      const key = keyFor(values, record);
+      if (key === null) return values;
+      const count = (seen.get(key) || 0) + 1;
+      seen.set(key, count);
+      if (options.strategy === 'last') return count === scan.counts.get(key) ? values : null;
+      if (count > 1) return null;
+      return options.strategy === 'merge' && scan.merged.has(key) ? scan.merged.get(key) : values;
+    };
+  }
+});
+
+// File mode re-serializes every record with the output dialect, which
+// normalizes the delimiters anyway
+registerCleanupStep({
+  name: 'normalize',
+  label: 'Normalize delimiters to commas',
+  run: (text, dialect) => ({ text: normalizeTextDelimiters(text, dialect), dialect: { ...dialect, ...DEFAULT_DIALECT } })
+});
+
+// A pipeline lists the steps in the order they run:
+//   { steps: [{ name, enabled, options }] }
+// Registered steps missing from `config` are appended disabled, unknown and
+// repeated ones are dropped and options fall back to their defaults, so
+// presets saved before a step existed still load.
+function createCleanupPipeline(config = {}) {
+  const seen = new Set();
+  const listed = (config.steps || []).filter(entry => {
+    if (!entry || !getCleanupStep(entry.name) || seen.has(entry.name)) return false;
+    seen.add(entry.name);
+    return true;
+  });
+  const missing = CLEANUP_STEPS.filter(step => !seen.has(step.name)).map(step => ({ name: step.name, enabled: false }));
+
+  return {
+    steps: listed.concat(missing).map(entry => {
+      const options = {};
+      for (const option of getCleanupStep(entry.name).options) {
+        const value = entry.options ? entry.options[option.name] : undefined;
+        options[option.name] = value !== undefined ? value : option.default;
+      }
+      return { name: entry.name, enabled: !!entry.enabled, options };
+    })
+  };
+}
+
+// Enabled steps of a pipeline in order, as { step, options }
+function getEnabledCleanupSteps(pipeline) {
+  return createCleanupPipeline(pipeline).steps
+    .filter(entry => entry.enabled)
+    .map(entry => ({ step: getCleanupStep(entry.name), options: entry.options }));
+}
+
+// Read a pipeline preset from JSON ({ name, steps }). Throws an Error
+// describing the first problem found.
+function parsePipelineJSON(json) {
+  const data = JSON.parse(json);
+  if (!data || !Array.isArray(data.steps)) throw new Error('A cleanup preset needs a "steps" array');
+
+  data.steps.forEach((entry, index) => {
+    const step = entry && getCleanupStep(entry.name);
+    if (!step) {
+      throw new Error(`Step ${index + 1} has unknown cleanup "${entry && entry.name}" (expected ${CLEANUP_STEPS.map(known => known.name).join(', ')})`);
+    }
+    for (const option of step.options) {
+      const value = entry.options ? entry.options[option.name] : undefined;
+      if (value !== undefined && option.choices && !option.choices.some(choice => choice.value === value)) {
+        throw new Error(`Step "${step.name}": "${value}" is not a valid ${option.label.toLowerCase()}`);
+      }
+    }
+  });
+  return { name: typeof data.name === 'string' ? data.name : '', ...createCleanupPipeline(data) };
+}
+
+// Pipeline as shareable JSON, leaving out options at their defaults
+function serializePipeline(pipeline, name = '') {
+  const steps = createCleanupPipeline(pipeline).steps.map(entry => {
+    const out = { name: entry.name, enabled: entry.enabled };
+    const options = {};
+    for (const option of getCleanupStep(entry.name).options) {
+      if (entry.options[option.name] !== option.default) options[option.name] = entry.options[option.name];
+    }
+    if (Object.keys(options).length) out.options = options;
+    return out;
+  });
+  return JSON.stringify({ name, steps }, null, 2);
+}
+
+// Before/after comparison of two versions of a document, row by row.
+// Cleanups only drop rows or edit cells in place, so rows are paired in
+// order: equal rows match, a mismatch while one side has rows to spare skips
+// the rows up to the next match within the spare ones as removed (or added),
+// or else the one row if the next row shares more cells with the other side,
+// and other mismatched pairs are compared cell by cell. Returns { removed, added, modified, header, counts, origins } where
+// the lists are capped at MAX_LISTED_DIFF_CHANGES entries and counts
+// ({ removedRows, addedRows, modifiedRows, modifiedCells }) cover everything.
+// Lines are those of beforeText, or taken from `origins` (one line per row of
+// beforeText) so chained diffs can point into the text the first one started
+// from; the returned origins do the same for the rows of afterText (null for
+// added rows).
+const MAX_LISTED_DIFF_CHANGES = 500;
+
+function diffDocuments(beforeText, afterText, beforeDialect = DEFAULT_DIALECT, afterDialect = beforeDialect, origins = null) {
+  const toRows = (text, dialect, lines) => parseCSV(text, dialect).records.map((record, index) => ({
+    line: lines ? lines[index] : record.line,
+    content: getRecordText(text, record),
+    values: record.fields.map(field => field.value)
+  }));
+  const before = toRows(beforeText, beforeDialect, origins);
+  const after = toRows(afterText, afterDialect);
+  const key = row => row.values.join('\u0000');
+  // Positions of every row by key, with a cursor per key that only moves on
+  const indexRows = rows => {
+    const positions = new Map();
+    rows.forEach((row, index) => {
+      const rowKey = key(row);
+      if (positions.has(rowKey)) positions.get(rowKey).list.push(index);
+      else positions.set(rowKey, { list: [index], next: 0 });
+    });
+    return (rowKey, from) => {
+      const entry = positions.get(rowKey);
+      if (!entry) return -1;
+      while (entry.next < entry.list.length && entry.list[entry.next] < from) entry.next++;
+      return entry.next < entry.list.length ? entry.list[entry.next] : -1;
+    };
+  };
+  const sameCells = (a, b) => a.values.filter((value, index) => value === b.values[index]).length;
+  const findBefore = indexRows(before);
+  const findAfter = indexRows(after);
+  const diff = {
+    removed: [],
+    added: [],
+    modified: [],
+    header: afterDialect.hasHeader !== false && after.length ? after[0].values : null,
+    counts: { removedRows: 0, addedRows: 0, modifiedRows: 0, modifiedCells: 0 },
+    origins: []
+  };
+  const list = (name, entry) => {
+    if (diff[name].length < MAX_LISTED_DIFF_CHANGES) diff[name].push(entry);
+  };
+  const remove = row => {
+    diff.counts.removedRows++;
+    list('removed', { line: row.line, content: row.content });
+  };
+  const add = row => {
+    diff.counts.addedRows++;
+    diff.origins.push(null);
+    list('added', { line: row.line, content: row.content });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    const beforeRow = before[i];
+    const afterRow = after[j];
+    const spare = (before.length - i) - (after.length - j);
+    const removedUntil = spare > 0 ? findBefore(key(afterRow), i) : -1;
+    const addedUntil = spare < 0 ? findAfter(key(beforeRow), j) : -1;
+    if (key(beforeRow) === key(afterRow)) {
+      diff.origins.push(beforeRow.line);
+      i++;
+      j++;
+    } else if (removedUntil !== -1 && removedUntil - i <= spare) {
+      while (i < removedUntil) remove(before[i++]);
+    } else if (addedUntil !== -1 && addedUntil - j <= -spare) {
+      while (j < addedUntil) add(after[j++]);
+    } else if (spare > 0 && sameCells(before[i + 1], afterRow) > sameCells(beforeRow, afterRow)) {
+      remove(before[i++]);
+    } else if (spare < 0 && sameCells(beforeRow, after[j + 1]) > sameCells(beforeRow, afterRow)) {
+      add(after[j++]);
+    } else {
+      const width = Math.max(beforeRow.values.length, afterRow.values.length);
+      diff.counts.modifiedRows++;
+      diff.origins.push(beforeRow.line);
+      for (let col = 0; col < width; col++) {
+        // Cells missing from the shorter row are null
+        const was = col < beforeRow.values.length ? beforeRow.values[col] : null;
+        const now = col < afterRow.values.length ? afterRow.values[col] : null;
+        if (was === now) continue;
+        diff.counts.modifiedCells++;
+        list('modified', { line: beforeRow.line, column: col, before: was, after: now });
+      }
+      i++;
+      j++;
+    }
+  }
+  before.slice(i).forEach(remove);
+  after.slice(j).forEach(add);
+  return diff;
+}
+
+// Compare two versions of a table row by row. Rows are paired by the values
+// of options.keyColumns (names or 1-based numbers, see resolveColumnList;
+// a key that repeats pairs its occurrences in order) or, without keys, by
+// position. Columns are matched by header name when both sides have a
+// header, by position otherwise; columns only one side has are shown but
+// not compared. Returns { header, addedColumns, removedColumns, rows,
+// counts } where header names the union of the columns (the new side's
+// first) and rows are { change, line, values, before, changed } in the new
+// side's order, removed rows where they stood: change is added, removed,
+// modified or unchanged (the latter only with options.includeUnchanged),
+// line the row's line in its own text, values its cells aligned with header,
+// before the old cells of modified rows and changed the indexes of the cells
+// that differ. counts ({ added, removed, modified, unchanged }) cover all.
+
+function compareDocuments(beforeText, afterText, beforeDialect = DEFAULT_DIALECT, afterDialect = beforeDialect, options = {}) {
+  const read = (text, dialect) => {
+    const records = parseCSV(text, dialect).records.filter(record => !record.isEmpty);
+    const header = dialect.hasHeader !== false && records.length ? records[0].fields.map(field => field.value) : null;
+    const rows = (header ? records.slice(1) : records).map(record => ({
+      line: record.line,
+      values: record.fields.map(field => field.value)
+    }));
+    return { header, rows };
+  };
+  const before = read(beforeText, beforeDialect);
+  const after = read(afterText, afterDialect);
+
+  // Union of the columns and, per side, the column each of them comes from
+  let header;
+  let fromBefore;
+  let fromAfter;
+  if (before.header && after.header) {
+    const normalize = name => name.trim().toLowerCase();
+    const afterNames = after.header.map(normalize);
+    const extra = before.header.filter(name => !afterNames.includes(normalize(name)));
+    header = [...after.header, ...extra];
+    fromAfter = header.map((name, index) => index < after.header.length ? index : -1);
+    fromBefore = header.map(name => before.header.map(normalize).indexOf(normalize(name)));
+  } else {
+    const width = getMaxColumnCount([before.header || [], after.header || [], ...[...before.rows, ...after.rows].map(row => row.values)]);
+    header = Array.from({ length: width }, (_, index) => (after.header || before.header || [])[index] || `Column ${index + 1}`);
+    fromAfter = header.map((_, index) => index);
+    fromBefore = fromAfter;
+  }
+  const compared = header.map((_, index) => fromBefore[index] !== -1 && fromAfter[index] !== -1);
+  const align = (values, from) => from.map(index => index === -1 ? '' : values[index] || '');
+
+  const result = {
+    header,
+    addedColumns: header.filter((_, index) => fromBefore[index] === -1),
+    removedColumns: header.filter((_, index) => fromAfter[index] === -1),
+    rows: [],
+    counts: { added: 0, removed: 0, modified: 0, unchanged: 0 }
+  };
+  const push = (change, row, values, extra = {}) => {
+    result.counts[change]++;
+    if (change !== 'unchanged' || options.includeUnchanged) result.rows.push({ change, line: row.line, values, ...extra });
+  };
+  const removeRow = row => push('removed', row, align(row.values, fromBefore));
+  const compareRow = (old, row) => {
+    const values = align(row.values, fromAfter);
+    const previous = align(old.values, fromBefore);
+    const changed = values.map((value, index) => index).filter(index => compared[index] && values[index] !== previous[index]);
+    if (changed.length) push('modified', row, values, { before: previous, changed });
+    else push('unchanged', row, values);
+  };
+
+  // Old row paired with each new row (-1 for none)
+  let pairs;
+  if (String(options.keyColumns || '').trim()) {
+    const keyOf = columns => row => columns.map(index => row.values[index] || '').join('\u0000');
+    const beforeKey = keyOf(resolveColumnList(options.keyColumns, before.header));
+    const afterKey = keyOf(resolveColumnList(options.keyColumns, after.header));
+    const positions = new Map();
+    before.rows.forEach((row, index) => {
+      const key = beforeKey(row);
+      if (!positions.has(key)) positions.set(key, []);
+      positions.get(key).push(index);
+    });
+    pairs = after.rows.map(row => {
+      const list = positions.get(afterKey(row));
+      return list && list.length ? list.shift() : -1;
+    });
+  } else {
+    pairs = after.rows.map((_, index) => index < before.rows.length ? index : -1);
+  }
+
+  // Walk the new rows, putting each unpaired old row before the first new
+  // row whose old partner comes after it
+  const paired = new Set(pairs);
+  let next = 0;
+  const flushRemoved = until => {
+    for (; next < until; next++) {
+      if (!paired.has(next)) removeRow(before.rows[next]);
+    }
+  };
+  after.rows.forEach((row, index) => {
+    if (pairs[index] === -1) {
+      push('added', row, align(row.values, fromAfter));
+      return;
+    }
+    flushRemoved(pairs[index]);
+    compareRow(before.rows[pairs[index]], row);
+  });
+  flushRemoved(before.rows.length);
+  return result;
+}
+
+// A comparison as CSV: the change of each row in front of its cells, then
+// the names of the cells that changed
+function formatComparison(comparison, dialect = DEFAULT_DIALECT, lineEnding = '\r\n') {
+  const rows = [
+    ['change', ...comparison.header, 'changed_columns'],
+    ...comparison.rows.map(row => [
+      row.change,
+      ...row.values,
+      (row.changed || []).map(index => comparison.header[index]).join('; ')
+    ])
+  ];
+  return rows.map(values => formatCSVRow(values, dialect)).join(lineEnding);
+}
+
+// Append tables one after another, matching their columns by header name
+// (ignoring case and surrounding spaces). tables: [{ name, text, dialect }].
+// options:
+//   columns:      'union' keeps every column any table has (empty where a
+//                 table lacks it), 'intersection' only those all of them have
+//   sourceColumn: name of a last column holding each row's table name (none
+//                 when empty)
+// Tables without a header row are appended by position. Returns { text,
+// dialect, header, rowCount, files } where text is written in the first
+// table's delimiter and quote, header is null when no table has one, and
+// files reports each table as { name, rows, hasHeader, missing, extra,
+// matches }: the first table's columns it lacks and the columns it has that
+// the first one doesn't.
+function concatenateTables(tables, options = {}) {
+  const normalize = name => name.trim().toLowerCase();
+  const parsed = tables.map(table => {
+    const dialect = table.dialect || sniffDialect(table.text);
+    const values = parseCSV(table.text, dialect).records
+      .filter(record => !record.isEmpty)
+      .map(record => record.fields.map(field => field.value));
+    const hasHeader = dialect.hasHeader !== false && values.length > 0;
+    return { name: table.name, dialect, header: hasHeader ? values[0] : null, rows: hasHeader ? values.slice(1) : values };
+  });
+  const intersect = options.columns === 'intersection';
+
+  const named = parsed.filter(table => table.header);
+  let header = null;
+  if (named.length) {
+    header = [];
+    named.forEach(table => table.header.forEach(name => {
+      if (!header.some(seen => normalize(seen) === normalize(name))) header.push(name);
+    }));
+    if (intersect) header = header.filter(name => named.every(table => table.header.some(other => normalize(other) === normalize(name))));
+  }
+  // Without headers the tables line up by position, as wide as the widest
+  // (union) or the narrowest (intersection) of them
+  const widths = parsed.map(table => getMaxColumnCount(table.rows));
+  const width = header ? header.length : widths.length ? (intersect ? Math.min : Math.max)(...widths) : 0;
+
+  const reference = parsed.length && parsed[0].header ? parsed[0].header : null;
+  const rows = [];
+  const files = parsed.map(table => {
+    const names = table.header ? table.header.map(normalize) : [];
+    const pick = header && table.header
+      ? header.map(name => names.indexOf(normalize(name)))
+      : Array.from({ length: width }, (_, index) => index);
+    table.rows.forEach(values => {
+      const row = pick.map(index => index === -1 ? '' : values[index] || '');
+      if (options.sourceColumn) row.push(table.name);
+      rows.push(row);
+    });
+    const missing = reference && table.header ? reference.filter(name => !names.includes(normalize(name))) : [];
+    const extra = reference && table.header ? table.header.filter(name => !reference.some(other => normalize(other) === normalize(name))) : [];
+    return {
+      name: table.name,
+      rows: table.rows.length,
+      hasHeader: Boolean(table.header),
+      missing,
+      extra,
+      matches: !missing.length && !extra.length && Boolean(table.header) === Boolean(reference)
+    };
+  });
+
+  const outputHeader = header && options.sourceColumn ? [...header, options.sourceColumn] : header;
+  const dialect = { ...DEFAULT_DIALECT, ...(parsed.length ? { delimiter: parsed[0].dialect.delimiter, quote: parsed[0].dialect.quote } : {}), hasHeader: Boolean(header) };
+  const all = outputHeader ? [outputHeader, ...rows] : rows;
+  return {
+    text: all.length ? rowsToCSVText(all, dialect, '\n') + '\n' : '',
+    dialect,
+    header: outputHeader,
+    rowCount: rows.length,
+    files
+  };
+}
+
+// Apply the enabled cleanups to the text itself, one step at a time, for
+// the editor. payload: { text, dialect, pipeline } as for cleanDocument.
+// Resolves to { text, dialect, steps } where every step that ran reports
+// { name, label, diff, problems, problemCount } (see diffDocuments), with
+// lines of the original text and, for steps that explain their fixes, the
+// fixes of each changed cell. problems lists up to MAX_LISTED_DIFF_CHANGES
+// of the cells the step left alone, as { line, column, value, message }.
+async function applyCleanups(payload, onProgress = () => {}) {
+  let text = payload.text || '';
+  let dialect = payload.dialect || DEFAULT_DIALECT;
+  const steps = getEnabledCleanupSteps(payload.pipeline);
+  const results = [];
+  let origins = null;
+
+  steps.forEach(({ step, options }, index) => {
+    onProgress({ phase: step.name, done: index, total: steps.length });
+    const next = step.run(text, dialect, options);
+    const { origins: nextOrigins, ...diff } = diffDocuments(text, next.text, dialect, next.dialect, origins);
+    if (step.explainCell) {
+      diff.modified.forEach(cell => {
+        if (cell.before !== null) cell.fixes = step.explainCell(cell.before, options);
+      });
+    }
+    const problems = (next.problems || []).slice(0, MAX_LISTED_DIFF_CHANGES).map(({ row, line, ...problem }) => ({
+      ...problem,
+      line: origins ? origins[row] : line
+    }));
+    results.push({ name: step.name, label: step.label, diff, problems, problemCount: next.problems ? next.problems.length : 0 });
+    origins = nextOrigins;
+    text = next.text;
+    dialect = next.dialect;
+  });
+
+  return { text, dialect, steps: results };
+}
+
+// Run the enabled cleanups and serialize with the output dialect.
+// payload: { text, dialect, pipeline, outputDialect, exportFormat, exportOptions, view }
+// where pipeline is a cleanup pipeline (see createCleanupPipeline),
+// exportFormat is a key of EXPORT_FORMATS (default csv) and view an optional
+// row view (see applyRowView) applied before the cleanups. Resolves to
+// { text, unmappable, problems } where problems counts the cells the
+// cleanups had to leave alone.
+async function cleanDocument(payload, onProgress = () => {}) {
+  let text = payload.text || '';
+  let dialect = payload.dialect || DEFAULT_DIALECT;
+  const format = payload.exportFormat || 'csv';
+  if (text.length && isRowViewActive(payload.view)) text = applyRowView(text, dialect, payload.view).text;
+  const steps = text.length ? getEnabledCleanupSteps(payload.pipeline) : [];
+
+  let problems = 0;
+  steps.forEach(({ step, options }, index) => {
+    onProgress({ phase: step.name, done: index, total: steps.length + 1 });
+    const next = step.run(text, dialect, options);
+    ({ text, dialect } = next);
+    problems += next.problems ? next.problems.length : 0;
+  });
+
+  // Re-serialize the parsed records with the chosen output dialect or format
+  onProgress({ phase: 'serializing', done: steps.length, total: steps.length + 1 });
+  const outputDialect = payload.outputDialect || DEFAULT_DIALECT;
+  const records = parseCSV(text, dialect).records;
+  text = format === 'csv'
+    ? serializeRecords(records, outputDialect)
+    : exportRecords(records, format, getExportWriterOptions(payload, outputDialect));
+
+  return { text, unmappable: countUnmappableChars(text, outputDialect.encoding), problems };
+}
+
+// File mode: files too big for the editor are streamed through the parser a
+// chunk at a time, so the whole document is never held in one string.
+const FILE_MODE_MIN_BYTES = 20 * 1024 * 1024;
+const FILE_CHUNK_BYTES = 1024 * 1024;
+const FILE_HEAD_BYTES = 4 * SNIFF_SAMPLE_CHARS;
+const FILE_SAMPLE_ROWS = 20;
+const OUTPUT_BATCH_CHARS = 1024 * 1024;
+
+// Decode the start of a file, enough for sniffing the dialect
+async function readFileHead(file, bytes = FILE_HEAD_BYTES, encoding = 'utf-8') {
+  const buffer = await file.slice(0, bytes).arrayBuffer();
+  // stream: true holds back a character cut in half by the slice
+  return new TextDecoder(encoding).decode(buffer, { stream: bytes < file.size });
+}
+
+// Parse a File (or Blob) chunk by chunk, calling onRecord(record, recordText)
+// for every record. Record positions are offsets into the decoded document.
+// options: { encoding, transform, onProgress, isCancelled } where encoding
+// defaults to UTF-8 and transform(chunkText) may rewrite each decoded
+// chunk before parsing. Resolves to false when cancelled.
+async function streamFileRecords(file, dialect, onRecord, options = {}) {
+  const transform = options.transform || (chunk => chunk);
+  const onProgress = options.onProgress || (() => {});
+  const isCancelled = options.isCancelled || (() => false);
+  const decoder = new TextDecoder(options.encoding || 'utf-8');
+  const cursor = createParseCursor();
+  let buffer = '';
+  let bytesRead = 0;
+  let minBuffer = 0;
+  let lastRecord = null;
+  let done = file.size === 0;
+
+  while (!done) {
+    const bytes = await file.slice(bytesRead, bytesRead + FILE_CHUNK_BYTES).arrayBuffer();
+    bytesRead += bytes.byteLength;
+    done = bytesRead >= file.size;
+    buffer += transform(decoder.decode(bytes, { stream: !done }));
+    // A record still open at the end of the buffer is retried once the
+    // buffer has doubled, so a very long record isn't re-read every chunk
+    if (!done && buffer.length < minBuffer) continue;
+
+    let record;
+    while (cursor.pos < buffer.length && (record = readCSVRecord(buffer, cursor, dialect, done)) !== null) {
+      lastRecord = record;
+      onRecord(record, buffer.slice(record.start - cursor.offset, record.end - cursor.offset));
+    }
+
+    // Drop the consumed text and keep positions relative to the whole document
+    buffer = buffer.slice(cursor.pos);
+    cursor.offset += cursor.pos;
+    cursor.lineStart -= cursor.pos;
+    cursor.pos = 0;
+    minBuffer = buffer.length * 2;
+
+    onProgress({ phase: 'parsing', done: bytesRead, total: file.size });
+    await waitForNextTask();
+    if (isCancelled()) return false;
+  }
+
+  // The last record ended with a line break (not inside an open quote)
+  if (lastRecord && lastRecord.end < cursor.offset) {
+    onRecord(createEmptyRecord(cursor), '');
+  }
+  return true;
+}
+
+// 53-bit string hash (cyrb53). File mode dedupes on hashes so it doesn't have
+// to keep every row in memory.
+function hashString(str, seed = 0) {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+const MAX_LISTED_FILE_ERRORS = 100;
+
+// Sniff and validate a file in file mode.
+// payload: { file, overrides, schema, inputEncoding }, where the encoding is
+// detected from the start of the file when not given. Resolves to the same
+// shape as analyzeDocument plus errorCount (errors itself is capped at
+// MAX_LISTED_FILE_ERRORS), sampleRows, the first FILE_SAMPLE_ROWS non-empty
+// rows for the preview, and encoding ({ encoding, reason } as detected, or
+// just the encoding given).
+async function analyzeFile(payload, onProgress = () => {}, isCancelled = () => false) {
+  const file = payload.file;
+  const encoding = payload.inputEncoding
+    ? { encoding: payload.inputEncoding }
+    : detectEncoding(new Uint8Array(await file.slice(0, FILE_HEAD_BYTES).arrayBuffer()), file.size <= FILE_HEAD_BYTES);
+  const head = await readFileHead(file, FILE_HEAD_BYTES, encoding.encoding);
+  const dialect = sniffDialect(head, payload.overrides || {});
+
+  if (!detectCSVFormat(head, dialect)) {
+    const firstLine = head.split(/\r?\n/).find(line => line.trim()) || '';
+    return {
+      dialect,
+      stats: null,
+      errors: [{ line: 1, content: firstLine.slice(0, MAX_ERROR_CONTENT_CHARS), error: 'It seems like the input isn\'t in a valid CSV formatting', type: 'not_csv_format' }],
+      errorCount: 1,
+      expectedColumnCount: null,
+      headerLine: null,
+      isNotCSV: true,
+      sampleRows: [],
+      encoding
+    };
+  }
+
+  const errors = [];
+  const sampleRecords = [];
+  let errorCount = 0;
+  let rows = 0;
+  let expectedColumnCount = null;
+  let headerLine = null;
+  const schemaValidator = payload.schema ? createSchemaValidator(payload.schema, dialect.hasHeader !== false) : null;
+  const profiler = createColumnProfiler();
+  let header = null;
+
+  const completed = await streamFileRecords(file, dialect, (record, recordText) => {
+    if (record.isEmpty) return;
+    rows++;
+    if (sampleRecords.length < FILE_SAMPLE_ROWS) sampleRecords.push(record);
+    const values = record.fields.map(field => field.value);
+    if (rows === 1 && dialect.hasHeader !== false) header = values;
+    else profiler.add(values);
+    const content = recordText.slice(0, MAX_ERROR_CONTENT_CHARS);
+    const recordErrors = [];
+    if (expectedColumnCount === null && !record.unterminated) {
+      expectedColumnCount = record.fields.length;
+      headerLine = record.line;
+      if (dialect.hasHeader !== false) recordErrors.push(...validateHeaderRecord(record, content));
+    }
+    const error = validateRecord(null, record, expectedColumnCount, content);
+    if (error) recordErrors.push(error);
+    if (schemaValidator) recordErrors.push(...schemaValidator.check(record));
+    for (const recordError of recordErrors) {
+      errorCount++;
+      if (errors.length < MAX_LISTED_FILE_ERRORS) errors.push(recordError);
+    }
+  }, { encoding: encoding.encoding, onProgress, isCancelled });
+  if (!completed) return null;
+
+  return {
+    dialect,
+    stats: rows ? {
+      rows,
+      columns: sampleRecords[0].fields.length,
+      hasHeader: dialect.hasHeader !== undefined ? dialect.hasHeader : sniffHeader(sampleRecords),
+      columnProfiles: profiler.finish(header || [])
+    } : null,
+    errors,
+    errorCount,
+    expectedColumnCount,
+    headerLine,
+    isNotCSV: false,
+    sampleRows: sampleRecords.map(record => record.fields.map(field => field.value)),
+    encoding
+  };
+}
+
+// Run the enabled cleanups record by record (see registerCleanupStep) and
+// write the output as a Blob built from encoded batches. payload: { file,
+// dialect, pipeline, outputDialect, exportFormat, exportOptions, addBom,
+// inputEncoding, view } as for cleanDocument, reading the file as
+// inputEncoding (default UTF-8). The view's filters apply; sorting would need
+// every row in memory at once, so a view with sort keys is rejected.
+// Resolves to { blob, unmappable, problems, rows }.
+async function cleanFile(payload, onProgress = () => {}, isCancelled = () => false) {
+  const dialect = payload.dialect || DEFAULT_DIALECT;
+  const steps = getEnabledCleanupSteps(payload.pipeline);
+  const view = isRowViewActive(payload.view) ? payload.view : null;
+  if (view && view.sort && view.sort.length) throw new Error('Files this big cannot be sorted; remove the sort keys to download the filtered rows');
+  const transforms = steps.filter(({ step }) => step.transformChunk);
+  const transform = transforms.length
+    ? chunk => transforms.reduce((text, { step, options }) => step.transformChunk(text, options), chunk)
+    : null;
+  const scans = [];
+  // Problems are only counted on the pass that writes the output
+  let problems = 0;
+  // The view keeps the header and the matching rows ahead of the cleanups,
+  // as in cleanDocument, and drops empty lines as applyRowView does
+  const createViewFilter = () => {
+    const matches = createRowMatcher(view.filters);
+    let header = dialect.hasHeader !== false;
+    return (values, record) => {
+      if (record.isEmpty) return null;
+      if (header) {
+        header = false;
+        return values;
+      }
+      return matches(values) ? values : null;
+    };
+  };
+  const createRowFilters = (count, report = () => {}) => (view ? [createViewFilter()] : []).concat(steps.slice(0, count)
+    .map(({ step, options }, index) => step.createRowFilter ? step.createRowFilter(options, dialect, scans[index], report) : null)
+    .filter(Boolean));
+  const filterValues = (filters, record) => {
+    let values = record.fields.map(field => field.value);
+    for (const filter of filters) {
+      values = filter(values, record);
+      if (!values) return null;
+    }
+    return values;
+  };
+
+  // Scanning steps read the file through the steps before them first
+  for (let index = 0; index < steps.length; index++) {
+    const { step, options } = steps[index];
+    const scanner = step.createRowScanner ? step.createRowScanner(options, dialect) : null;
+    scans.push(scanner);
+    for (let pass = 0; scanner && pass < scanner.passes; pass++) {
+      const filters = createRowFilters(index);
+      scanner.startPass(pass);
+      const scanned = await streamFileRecords(payload.file, dialect, record => {
+        const values = filterValues(filters, record);
+        if (values) scanner.add(values, record);
+      }, {
+        encoding: payload.inputEncoding,
+        transform,
+        onProgress: progress => onProgress({ ...progress, phase: 'scanning' }),
+        isCancelled
+      });
+      if (!scanned) return null;
+    }
+  }
+
+  const rowFilters = createRowFilters(steps.length, () => problems++);
+  const outputDialect = payload.outputDialect || DEFAULT_DIALECT;
+  const encoding = outputDialect.encoding || 'utf-8';
+  const lineEnding = outputDialect.lineEnding || '\r\n';
+  const format = payload.exportFormat || 'csv';
+  const writer = format === 'csv' ? null : createExportWriter(format, getExportWriterOptions(payload, outputDialect));
+  const parts = [];
+  let batch = '';
+  let unmappable = 0;
+  let rows = 0;
+
+  if (payload.addBom && BYTE_ORDER_MARKS[encoding]) {
+    parts.push(new Uint8Array(BYTE_ORDER_MARKS[encoding]));
+  }
+
+  const flush = () => {
+    const encoded = encodeText(batch, encoding);
+    parts.push(encoded.bytes);
+    unmappable += encoded.unmappable;
+    batch = '';
+  };
+  if (writer) batch += writer.start();
+
+  const completed = await streamFileRecords(payload.file, dialect, (record) => {
+    const values = filterValues(rowFilters, record);
+    if (!values) return;
+
+    if (writer) {
+      if (record.isEmpty) return;
+      batch += writer.row(values);
+    } else {
+      if (rows > 0) batch += lineEnding;
+      if (!record.isEmpty) batch += formatCSVRow(values, outputDialect);
+    }
+    rows++;
+    if (batch.length >= OUTPUT_BATCH_CHARS) flush();
+  }, { encoding: payload.inputEncoding, transform, onProgress, isCancelled });
+  if (!completed) return null;
+
+  if (writer) batch += writer.end();
+  flush();
+  const mimeType = EXPORT_FORMATS[format].mimeType;
+  return { blob: new Blob(parts, { type: `${mimeType};charset=${encoding}` }), unmappable, problems, rows };
+}
+
+// Duplicate report for the editor. payload: { text, dialect, options } with
+// the removeDuplicates step options. Resolves to findDuplicateRows' result
+// without the text.
+async function findDuplicates(payload) {
+  const { text, ...report } = findDuplicateRows(payload.text || '', payload.dialect || DEFAULT_DIALECT, payload.options);
+  return report;
+}
+
+// Repairs for the errors of the editor text. payload: { text, dialect,
+// options } with buildRepairs' options. Resolves to { repairs,
+// expectedColumnCount }.
+async function findRepairs(payload) {
+  const text = payload.text || '';
+  const dialect = payload.dialect || DEFAULT_DIALECT;
+  // Re-validate the whole document; immediate validation only tracks one record
+  const result = validateAndFixCSV(text, dialect);
+  return { ...buildRepairs(text, result.errors, dialect, payload.options), expectedColumnCount: result.expectedColumnCount };
+}
+
+// Table in another format, or inside chat text, for the import notice.
+// payload: { text, formats, extract, hasErrors } where formats are as for
+// importTable and extract asks for the tables inside other text when none of
+// them matches and the text isn't valid CSV: hasErrors tells whether it is,
+// or the text is validated here when that is not known. Resolves to
+// { imported, candidates } where imported is importTable's result or the
+// best extracted table (flagged extracted), null when there is none, and
+// candidates lists every extracted table.
+async function findImport(payload) {
+  const text = payload.text || '';
+  const imported = importTable(text, payload.formats);
+  if (imported || !payload.extract || !text.trim()) return { imported, candidates: null };
+  const hasErrors = typeof payload.hasErrors === 'boolean'
+    ? payload.hasErrors
+    : validateAndFixCSV(text, sniffDialect(text)).errors.length > 0;
+  if (!hasErrors) return { imported: null, candidates: null };
+  const { candidates, best } = extractTables(text);
+  return { imported: best ? { ...best, notes: [], extracted: true } : null, candidates: best ? candidates : null };
+}
+
+// Column operation on the editor text. payload: { text, dialect, operation }
+// as for editColumns. Resolves to { text, diff } where diff compares the
+// result with the text (see diffDocuments).
+async function applyColumnOperation(payload) {
+  const text = payload.text || '';
+  const dialect = payload.dialect || DEFAULT_DIALECT;
+  const next = editColumns(text, dialect, payload.operation);
+  const { origins, ...diff } = diffDocuments(text, next, dialect);
+  return { text: next, diff };
+}
+
+// Sorted and filtered rows for the preview. payload: { text, dialect, view,
+// limit }. Resolves to { rows, hasHeader, matched, total } where rows holds
+// the cell values of the header (when there is one) and of the first `limit`
+// rows the view keeps.
+async function previewRowView(payload) {
+  const dialect = payload.dialect || DEFAULT_DIALECT;
+  const { header, records, total } = selectRecords(payload.text || '', dialect, payload.view);
+  const shown = records.slice(0, payload.limit || FILE_SAMPLE_ROWS);
+  return {
+    rows: (header ? [header, ...shown] : shown).map(record => record.fields.map(field => field.value)),
+    hasHeader: Boolean(header),
+    matched: records.length,
+    total
+  };
+}
+
+// Compare a second version of a table with the editor text. payload:
+// { before, after, beforeDialect, afterDialect, options } as for
+// compareDocuments. Resolves to the comparison.
+async function compareTables(payload) {
+  return compareDocuments(payload.before || '', payload.after || '', payload.beforeDialect || DEFAULT_DIALECT, payload.afterDialect || DEFAULT_DIALECT, payload.options);
+}
+
+// Combine several files into one table. payload: { tables, overrides,
+// options } where tables are { name, text }, overrides the dialect
+// overrides they are all read with (see sniffDialect) and options as for
+// concatenateTables. Tables in other formats are converted first, as on
+// upload. Resolves to what concatenateTables returns.
+async function concatenateFiles(payload) {
+  const tables = (payload.tables || []).map(table => {
+    const imported = importTable(table.text);
+    const text = imported ? imported.csv : table.text;
+    return { ...table, text, dialect: sniffDialect(text, payload.overrides || {}) };
+  });
+  return concatenateTables(tables, payload.options);
+}
+
+const CSV_JOBS = {
+  analyze: analyzeDocument,
+  clean: cleanDocument,
+  applyCleanups,
+  findDuplicates,
+  findRepairs,
+  findImport,
+  editColumns: applyColumnOperation,
+  viewRows: previewRowView,
+  compare: compareTables,
+  concatenate: concatenateFiles,
+  analyzeFile,
+  cleanFile
+};
+
+// Node: the page and the worker see everything above as globals, CommonJS
+// gets the public part of it (csv-text-to-file.mjs wraps it as an ES module)
+if (typeof module === 'object' && module.exports) {
+  module.exports = {
+    DEFAULT_DIALECT,
+    DELIMITERS,
+    QUOTES,
+    QUOTING_POLICIES,
+    EXPORT_FORMATS,
+    INPUT_ENCODINGS,
+    OUTPUT_ENCODINGS,
+    BYTE_ORDER_MARKS,
+    CLEANUP_STEPS,
+    CSV_JOBS,
+    ensureExtension,
+    parseCSV,
+    parseCSVLine,
+    sniffDialect,
+    describeDialect,
+    validateAndFixCSV,
+    validateSchema,
+    parseSchemaJSON,
+    getCSVStats,
+    escapeCSVValue,
+    formatCSVRow,
+    serializeRecords,
+    exportRecords,
+    trimFieldWhitespace,
+    removeEmptyRows,
+    findDuplicateRows,
+    removeDuplicateRows,
+    normalizeTextDelimiters,
+    fixSmartQuotes,
+    repairUnicodeText,
+    normalizeValuesText,
+    cleanHeaderRow,
+    editColumns,
+    applyRowView,
+    compareDocuments,
+    formatComparison,
+    concatenateTables,
+    registerCleanupStep,
+    getCleanupStep,
+    createCleanupPipeline,
+    parsePipelineJSON,
+    serializePipeline,
+    detectEncoding,
+    decodeBytes,
+    encodeText
+  };
+}
@@ -0,0 +1,158 @@
+// The page's CSV parsing, validation and cleanup as an ES module, for build
+// scripts and other DOM-free code. csv-core.js stays a classic script for
+// the page and its worker; this wraps what it exports to Node.
+//
+//   import { parse, validate, clean, serialize } from 'csv-text-to-file';
+//   const { errors } = await validate(text);
+//   const { text: cleaned } = await clean(text, { steps: ['trimWhitespace', 'removeDuplicates'] });
+import core from './csv-core.js';
+
+const {
+  DEFAULT_DIALECT,
+  DELIMITERS,
+  QUOTES,
+  BYTE_ORDER_MARKS,
+  CSV_JOBS,
+  parseCSV,
+  sniffDialect,
+  formatCSVRow,
+  getCleanupStep,
+  createCleanupPipeline,
+  detectEncoding,
+  decodeBytes,
+  encodeText
+} = core;
+
+export { core };
+export const CLEANUP_STEP_NAMES = core.CLEANUP_STEPS.map(step => step.name);
+
+// A delimiter or quote given by name (comma, tab, double...) or as the character
+function resolveCharacter(value, names, kind) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (names[value] !== undefined) return names[value];
+  if (String(value).length === 1) return String(value);
+  throw new Error(`Unknown ${kind} "${value}" (expected ${Object.keys(names).join(', ')} or a single character)`);
+}
+
+// Dialect overrides from { delimiter, quote, hasHeader } options
+function getOverrides(options) {
+  const overrides = {};
+  const delimiter = resolveCharacter(options.delimiter, DELIMITERS, 'delimiter');
+  const quote = resolveCharacter(options.quote, QUOTES, 'quote');
+  if (delimiter) overrides.delimiter = delimiter;
+  if (quote) overrides.quote = quote;
+  if (typeof options.hasHeader === 'boolean') overrides.hasHeader = options.hasHeader;
+  return overrides;
+}
+
+// The dialect of the text: detected, with options.delimiter, options.quote
+// and options.hasHeader taking precedence
+export function getDialect(text, options = {}) {
+  return sniffDialect(text, getOverrides(options));
+}
+
+// Parse the text into { dialect, header, rows } where header is the first
+// row's values (null without a header row) and rows the other non-empty
+// rows' values. Options as for getDialect.
+export function parse(text, options = {}) {
+  const dialect = getDialect(text, options);
+  const rows = parseCSV(text, dialect).records
+    .filter(record => !record.isEmpty)
+    .map(record => record.fields.map(field => field.value));
+  const hasHeader = dialect.hasHeader !== false && rows.length > 0;
+  return { dialect, header: hasHeader ? rows[0] : null, rows: hasHeader ? rows.slice(1) : rows };
+}
+
+// Validate the text the way the page does. options: the getDialect options
+// plus an optional schema (see parseSchemaJSON). Resolves to { valid,
+// dialect, stats, errors, isNotCSV } where errors are { line, content,
+// error, type }.
+export async function validate(text, options = {}) {
+  const result = await CSV_JOBS.analyze({ text, overrides: getOverrides(options), schema: options.schema || null });
+  return {
+    valid: result.errors.length === 0,
+    dialect: result.dialect,
+    stats: result.stats,
+    errors: result.errors,
+    isNotCSV: result.isNotCSV
+  };
+}
+
+// A cleanup pipeline from a list of step names and { name, options }
+// entries (enabled, in that order), or from a pipeline or preset object
+function toPipeline(steps = []) {
+  if (!Array.isArray(steps)) return createCleanupPipeline(steps);
+  return createCleanupPipeline({
+    steps: steps.map(entry => {
+      const name = typeof entry === 'string' ? entry : entry.name;
+      if (!getCleanupStep(name)) throw new Error(`Unknown cleanup "${name}" (expected ${CLEANUP_STEP_NAMES.join(', ')})`);
+      return { name, enabled: true, options: typeof entry === 'string' ? {} : entry.options };
+    })
+  });
+}
+
+// Run cleanups and write the result. options: the getDialect options plus
+//   steps:  cleanups to run (see toPipeline)
+//   output: { delimiter, quote, quoting, lineEnding, encoding } for the
+//           result, the delimiter and quote defaulting to the input's
+//   format: a key of EXPORT_FORMATS (default csv), with exportOptions
+//   view:   a row view to sort and filter with (see applyRowView)
+// Resolves to { text, dialect, problems, unmappable } where dialect is the
+// output dialect and problems counts the cells the cleanups left alone.
+export async function clean(text, options = {}) {
+  const dialect = getDialect(text, options);
+  const pipeline = toPipeline(options.steps);
+  const output = options.output || {};
+  // Normalizing turns the text comma-separated before it is written out
+  const base = pipeline.steps.some(entry => entry.name === 'normalize' && entry.enabled) ? DEFAULT_DIALECT : dialect;
+  const outputDialect = {
+    delimiter: resolveCharacter(output.delimiter, DELIMITERS, 'delimiter') || base.delimiter,
+    quote: resolveCharacter(output.quote, QUOTES, 'quote') || base.quote,
+    quoting: output.quoting || 'minimal',
+    lineEnding: output.lineEnding || '\r\n',
+    encoding: output.encoding || 'utf-8'
+  };
+  const result = await CSV_JOBS.clean({
+    text,
+    dialect,
+    pipeline,
+    outputDialect,
+    exportFormat: options.format || 'csv',
+    exportOptions: options.exportOptions,
+    view: options.view || null
+  });
+  return { text: result.text, dialect: outputDialect, problems: result.problems, unmappable: result.unmappable };
+}
+
+// Write rows of values as CSV. options: { header, delimiter, quote, quoting,
+// lineEnding } where header is an optional first row
+export function serialize(rows, options = {}) {
+  const dialect = {
+    delimiter: resolveCharacter(options.delimiter, DELIMITERS, 'delimiter') || DEFAULT_DIALECT.delimiter,
+    quote: resolveCharacter(options.quote, QUOTES, 'quote') || DEFAULT_DIALECT.quote,
+    quoting: options.quoting || 'minimal'
+  };
+  const all = options.header ? [options.header, ...rows] : rows;
+  return all.map(values => formatCSVRow(values.map(value => value === null || value === undefined ? '' : String(value)), dialect))
+    .join(options.lineEnding || '\r\n');
+}
+
+// Decode file contents, detecting the encoding unless one is given.
+// Returns { text, encoding, reason }.
+export function decode(bytes, encoding = null) {
+  const detected = encoding ? { encoding, reason: 'given' } : detectEncoding(bytes);
+  return { text: decodeBytes(bytes, detected.encoding), ...detected };
+}
+
+// Encode text for writing, with a byte order mark when asked for and the
+// encoding has one. Returns { bytes, unmappable }.
+export function encode(text, options = {}) {
+  const encoding = options.encoding || 'utf-8';
+  const encoded = encodeText(text, encoding);
+  if (!options.bom || !BYTE_ORDER_MARKS[encoding]) return encoded;
+  const bom = BYTE_ORDER_MARKS[encoding];
+  const bytes = new Uint8Array(bom.length + encoded.bytes.length);
+  bytes.set(bom);
+  bytes.set(encoded.bytes, bom.length);
+  return { bytes, unmappable: encoded.unmappable };
+}
@@ -0,0 +1,37 @@
+// Runs the CSV_JOBS from csv-core.js off the main thread.
+// Messages in:  { id, type, payload } to start a job, { id, type: 'cancel' } to stop one.
+// Messages out: { id, type: 'progress', progress }, { id, type: 'result', result }
+//               or { id, type: 'error', message }.
+importScripts('csv-core.js');
+
+const cancelledJobs = new Set();
+
+self.addEventListener('message', async (e) => {
+  const { id, type, payload } = e.data;
+
+  if (type === 'cancel') {
+    cancelledJobs.add(id);
+    return;
+  }
+
+  const job = CSV_JOBS[type];
+  if (!job) {
+    self.postMessage({ id, type: 'error', message: `Unknown job type: ${type}` });
+    return;
+  }
+
+  try {
+    const result = await job(
+      payload,
+      progress => self.postMessage({ id, type: 'progress', progress }),
+      () => cancelledJobs.has(id)
+    );
+    if (!cancelledJobs.has(id)) {
+      self.postMessage({ id, type: 'result', result });
+    }
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err && err.message ? err.message : String(err) });
+  } finally {
+    cancelledJobs.delete(id);
+  }
+});
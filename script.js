@@ -1,334 +1,80 @@
-// Utility: ensure .csv extension
-function ensureCsvExtension(name) {
-  if (!name) return "export.csv";
-  name = name.trim();
-  if (name === "") return "export.csv";
-  // Remove trailing dots/spaces (Windows file safety)
-  name = name.replace(/[ .]+$/g, "");
-  // If it has no extension or not .csv, append .csv
-  if (!/\.csv$/i.test(name)) {
-    name += ".csv";
-  }
-  return name;
-}
+// localStorage key for the saved cleanup pipeline presets
+const CLEANUP_PRESETS_KEY = 'csv-text-to-file.cleanup-presets';
+// localStorage key for the autosaved documents and options, and how often
+// they are saved while the page is open
+const SESSION_KEY = 'csv-text-to-file.session';
+const AUTOSAVE_INTERVAL_MS = 5000;
+// Option controls saved with the session (the dialect, filename and schema
+// are saved with each document instead)
+const SESSION_OPTION_CONTROLS = [
+  'outDelimiter', 'outQuote', 'outQuoting', 'outLineEnding', 'outEncoding', 'addBom',
+  'extractTables', 'exportFormat', 'exportTableName', 'exportIdentifierQuote', 'exportHeaderKeys', 'exportPretty',
+  'mismatchStrategy', 'viewOnDownload', 'combineColumns', 'combineSource', 'combineSourceName'
+];
 
-// Enhanced CSV parsing that properly handles quoted fields
-function parseCSVLine(line) {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-  let i = 0;
-  let wasQuoted = false; // New flag
-  
-  while (i < line.length) {
-    const char = line[i];
-    
-    if (char === '"') {
-      if (inQuotes && i + 1 < line.length && line[i + 1] === '"') {
-        // Escaped quote - use array join for better performance
-        current += '"';
-        i += 2;
-      } else {
-        // Toggle quote state
-        inQuotes = !inQuotes;
-        wasQuoted = true; // Mark as quoted if we encounter a quote
-        i++;
-      }
-    } else if (char === ',' && !inQuotes) {
-      // Field separator
-      result.push({ value: current, wasQuoted: wasQuoted }); // Store value and flag
-      current = '';
-      inQuotes = false; // Reset for next field
-      wasQuoted = false;
-      i++;
-    } else {
-      // Optimized string concatenation - check if we're building a large string
-      if (current.length < 10000) { // Reasonable limit to prevent memory issues
-        current += char;
-      } else {
-        // For very long fields, continue but log a warning (in production)
-        current += char;
-      }
-      i++;
-    }
-  }
-  
-  // Add the last field
-  result.push({ value: current, wasQuoted: wasQuoted });
-  return result;
-}
+// Lines shown when previewing an upload decoded with another encoding
+const ENCODING_PREVIEW_LINES = 12;
+// Rows of a comparison shown in its table (the download has all of them)
+const COMPARE_PREVIEW_ROWS = 100;
 
-// CSV validation and escaping functions
-function escapeCSVValue(value, forceQuote = false) {
-  // If value contains comma, quote, newline, or carriage return, wrap in quotes
-  // OR if forceQuote is true
-  if (forceQuote || value.includes(',') || value.includes('"') || value.includes('\n') || value.includes('\r')) {
-    // Escape existing quotes by doubling them
-    const escaped = value.replace(/"/g, '""');
-    return `"${escaped}"`;
-  }
-  return value;
-}
+// Line-number gutter. Only the lines visible in the textarea (plus a small
+// overscan) are rendered; a spacer keeps the gutter as tall as the text so its
+// scroll position can simply follow the textarea's.
+const LINE_NUMBER_OVERSCAN = 20;
+const lineNumberState = { lineCount: 0, errorLines: new Set(), schemaLines: new Set(), immediateLine: null };
 
-// Check if a line is already properly formatted
-function isProperlyFormattedCSV(originalLine, parsedValues) {
-  // If we successfully parsed the line and got the expected number of fields,
-  // and the comma count matches, then it's already properly formatted
-  const originalCommaCount = (originalLine.match(/,/g) || []).length;
-  const expectedCommaCount = parsedValues.length - 1;
-  
-  // Basic validation: if comma count matches and we parsed successfully, it's valid
-  if (originalCommaCount === expectedCommaCount) {
-    // Additional check: make sure quotes are balanced (even number)
-    const quoteCount = (originalLine.match(/"/g) || []).length;
-    if (quoteCount % 2 === 0) {
-      return true;
-    }
-  }
-  
-  return false;
+// Update line numbers and highlight errors
+function updateLineNumbers(text, errors, immediateErrorLine = null) {
+  lineNumberState.lineCount = countLines(text);
+  lineNumberState.errorLines = getErrorLineSet(errors);
+  // Lines whose only problems are schema violations get a milder highlight
+  const structuralLines = getErrorLineSet(errors.filter(err => !isSchemaError(err)));
+  lineNumberState.schemaLines = new Set([...getErrorLineSet(errors.filter(isSchemaError))].filter(line => !structuralLines.has(line)));
+  lineNumberState.immediateLine = immediateErrorLine;
+  renderLineNumbers();
 }
 
-// Function to detect if input appears to be CSV format
-function detectCSVFormat(text) {
-  if (!text || !text.trim()) return true; // Empty text is considered valid
-  
-  const lines = text.split(/\r?\n/).filter(line => line.trim());
-  if (lines.length === 0) return true;
-  
-  // Check for basic CSV indicators
-  let hasCommas = false;
-  let hasConsistentStructure = true;
-  let expectedCommaCount = null;
-  let validCSVLines = 0;
-  
-  for (let i = 0; i < Math.min(lines.length, 10); i++) { // Check first 10 lines
-    const line = lines[i];
-    const commaCount = (line.match(/,/g) || []).length;
-    
-    if (commaCount > 0) {
-      hasCommas = true;
-      
-      // Try to parse the line to see if it's valid CSV
-      try {
-        const parsed = parseCSVLine(line);
-        if (parsed && parsed.length > 0) {
-          validCSVLines++;
-          
-          // Check for consistent comma count (allowing some variation for headers vs data)
-          if (expectedCommaCount === null) {
-            expectedCommaCount = commaCount;
-          } else if (Math.abs(commaCount - expectedCommaCount) > 2) {
-            // Allow some variation but not too much
-            hasConsistentStructure = false;
-          }
-        }
-      } catch (e) {
-        // Parsing failed, might not be CSV
-      }
-    } else if (expectedCommaCount !== null && expectedCommaCount > 0) {
-      // Line has no commas but we expected some based on previous lines
-      hasConsistentStructure = false;
-    }
-  }
-  
-  // Heuristics to determine if this looks like CSV:
-  // 1. Must have some commas
-  // 2. Most lines should parse successfully
-  // 3. Should have some structural consistency
-  const csvLikelihood = hasCommas &&
-                       (validCSVLines / Math.min(lines.length, 10)) > 0.5 &&
-                       hasConsistentStructure;
-  
-  return csvLikelihood;
+function getTextareaLineHeight(textareaEl) {
+  const style = getComputedStyle(textareaEl);
+  if (style.lineHeight.endsWith('px')) return parseFloat(style.lineHeight);
+  // Unitless line-height multiplies the font size
+  return (parseFloat(style.lineHeight) || 1.4) * (parseFloat(style.fontSize) || 15);
 }
 
-// Enhanced validation that detects column count mismatches
-function validateAndFixCSV(text) {
-  const lines = text.split(/\r?\n/);
-  const fixedLines = [];
-  const errors = [];
-  let expectedColumnCount = null;
-  let headerLine = null;
-  
-  // First check if the input appears to be CSV format at all
-  if (!detectCSVFormat(text)) {
-    // If it doesn't look like CSV, mark all non-empty lines as errors
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      if (line.trim()) {
-        errors.push({
-          line: i + 1,
-          content: line,
-          error: 'It seems like the input isn\'t in a valid CSV formatting',
-          type: 'not_csv_format'
-        });
-      }
-      fixedLines.push(line);
-    }
-    
-    return {
-      fixedText: fixedLines.join('\r\n'),
-      errors: errors,
-      expectedColumnCount: null,
-      headerLine: null,
-      isNotCSV: true
-    };
-  }
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    if (!line.trim()) {
-      fixedLines.push(line);
-      continue;
-    }
-    
-    try {
-      // Parse the line using proper CSV parsing
-      const values = parseCSVLine(line);
-      
-      // Determine expected column count from first non-empty line (header)
-      if (expectedColumnCount === null) {
-        expectedColumnCount = values.length;
-        headerLine = i + 1;
-      }
-      
-      // Check for column count mismatch
-      if (values.length !== expectedColumnCount) {
-        errors.push({
-          line: i + 1,
-          content: line,
-          error: `Column count mismatch: expected ${expectedColumnCount}, got ${values.length}`,
-          type: 'column_mismatch',
-          expectedCount: expectedColumnCount,
-          actualCount: values.length
-        });
-        
-        // For fixing: if we have too many columns, try to detect unescaped commas
-        if (values.length > expectedColumnCount) {
-          // Simple heuristic: combine excess columns into the last expected column
-          const fixedValues = values.slice(0, expectedColumnCount - 1).map(v => v.value);
-          const lastValue = values.slice(expectedColumnCount - 1).map(v => v.value).join(', ');
-          fixedValues.push(lastValue);
-          
-          const escapedValues = fixedValues.map(escapeCSVValue);
-          fixedLines.push(escapedValues.join(','));
-        } else {
-          // Too few columns - add empty columns
-          const paddedValues = values.map(v => v.value);
-          while (paddedValues.length < expectedColumnCount) {
-            paddedValues.push('');
-          }
-          const escapedValues = paddedValues.map(escapeCSVValue);
-          fixedLines.push(escapedValues.join(','));
-        }
-      } else {
-        // If we successfully parsed the line into the correct number of columns,
-        // and the parsing succeeded without errors, the line is already properly formatted
-        fixedLines.push(line);
-      }
-      
-    } catch (error) {
-      // If parsing fails, check for unmatched quotes
-      let quoteCount = 0;
-      for (let char of line) {
-        if (char === '"') quoteCount++;
-      }
-      
-      if (quoteCount % 2 !== 0) {
-        errors.push({
-          line: i + 1,
-          content: line,
-          error: 'Unmatched quotes detected',
-          type: 'unmatched_quotes'
-        });
-      } else {
-        errors.push({
-          line: i + 1,
-          content: line,
-          error: 'Invalid CSV format',
-          type: 'invalid_format'
-        });
-      }
-      fixedLines.push(line);
-    }
-  }
-  
-  return {
-    fixedText: fixedLines.join('\r\n'),
-    errors: errors,
-    expectedColumnCount: expectedColumnCount,
-    headerLine: headerLine
-  };
-}
-
-// Update line numbers and highlight errors - optimized version with immediate feedback
-function updateLineNumbers(text, errors, immediateErrorLine = null) {
+function renderLineNumbers() {
   const lineNumbersEl = document.getElementById('lineNumbers');
-  const lines = text.split(/\r?\n/);
-  const errorLines = new Set(errors.map(err => err.line));
-  
-  // Only update if line count has changed or error status changed
-  const currentLineCount = lineNumbersEl.children.length;
-  let needsUpdate = currentLineCount !== lines.length;
-  
-  if (!needsUpdate) {
-    // Check if error status for existing lines has changed
-    for (let i = 0; i < currentLineCount; i++) {
-      const lineNum = i + 1;
-      const hasError = errorLines.has(lineNum);
-      const lineEl = lineNumbersEl.children[i];
-      if (lineEl && (lineEl.classList.contains('error') !== hasError)) {
-        needsUpdate = true;
-        break;
-      }
-    }
-  }
-  
-  if (!needsUpdate && immediateErrorLine === null) return; // Skip update if no changes
-  
-  // If we only need to update immediate error highlighting
-  if (!needsUpdate && immediateErrorLine !== null) {
-    for (let i = 0; i < lineNumbersEl.children.length; i++) {
-      const lineEl = lineNumbersEl.children[i];
-      const lineNum = i + 1;
-      
-      // Remove immediate class from all lines first
-      lineEl.classList.remove('immediate');
-      
-      // Add immediate class to the current error line
-      if (lineNum === immediateErrorLine && errorLines.has(lineNum)) {
-        lineEl.classList.add('immediate');
-      }
-    }
+  const inputEl = document.getElementById('csvInput');
+  const { lineCount, errorLines, schemaLines, immediateLine } = lineNumberState;
+
+  if (lineCount === 0) {
+    lineNumbersEl.innerHTML = '';
     return;
   }
-  
-  // Create document fragment for better performance
-  const fragment = document.createDocumentFragment();
-  
-  for (let i = 1; i <= lines.length; i++) {
+
+  const lineHeight = getTextareaLineHeight(inputEl);
+  const first = Math.max(0, Math.floor(inputEl.scrollTop / lineHeight) - LINE_NUMBER_OVERSCAN);
+  const last = Math.min(lineCount, first + Math.ceil(inputEl.clientHeight / lineHeight) + LINE_NUMBER_OVERSCAN * 2);
+
+  let html = '';
+  for (let i = first + 1; i <= last; i++) {
     const isError = errorLines.has(i);
-    const lineNumber = i.toString().padStart(3, ' ');
-    
-    const lineDiv = document.createElement('div');
-    lineDiv.className = isError ? 'error' : '';
-    
     // Add immediate class for real-time feedback
-    if (isError && i === immediateErrorLine) {
-      lineDiv.classList.add('immediate');
-    }
-    
-    lineDiv.textContent = lineNumber;
-    fragment.appendChild(lineDiv);
+    let className = '';
+    if (isError) className = i === immediateLine ? 'error immediate' : (schemaLines.has(i) ? 'error schema' : 'error');
+    html += `<div class="${className}">${i.toString().padStart(3, ' ')}</div>`;
   }
-  
-  // Clear and replace all line numbers at once
-  lineNumbersEl.innerHTML = '';
-  lineNumbersEl.appendChild(fragment);
+
+  // Extra room at the bottom matches the textarea's horizontal scrollbar
+  lineNumbersEl.innerHTML = `<div class="line-numbers-spacer" style="height:${lineCount * lineHeight + 24}px">` +
+    `<div class="line-numbers-window" style="transform:translateY(${first * lineHeight}px);line-height:${lineHeight}px">${html}</div></div>`;
+  lineNumbersEl.scrollTop = inputEl.scrollTop;
 }
 
-function highlightErrorLines(text, errors, isImmediate = false, isNotCSV = false) {
+// Longer error lists are cut off so huge documents don't flood the page
+const MAX_LISTED_ERRORS = 100;
+
+// totalErrors is given when `errors` is only the first part of a longer list
+function highlightErrorLines(text, errors, isImmediate = false, isNotCSV = false, totalErrors = errors.length) {
   const validationMsg = document.getElementById('validationMessage');
   const downloadBtn = document.getElementById('downloadBtn');
   
@@ -342,17 +88,18 @@ function highlightErrorLines(text, errors, isImmediate = false, isNotCSV = false
       validationMsg.className = isImmediate ? 'validation-message immediate' : 'validation-message persistent';
       validationMsg.style.display = 'block';
     } else {
-      const errorList = errors.map(err => {
-        let errorText = `Line ${err.line}: ${err.error}`;
+      const errorList = errors.slice(0, MAX_LISTED_ERRORS).map(err => {
+        const where = err.endLine && err.endLine !== err.line ? `Lines ${err.line}-${err.endLine}` : `Line ${err.line}`;
+        let errorText = `${where}: ${err.error}`;
         if (err.content.length > 50) {
           errorText += ` - "${err.content.substring(0, 50)}..."`;
         } else {
           errorText += ` - "${err.content}"`;
         }
         return errorText;
-      }).join('\n');
+      }).join('\n') + (totalErrors > MAX_LISTED_ERRORS ? `\n…and ${(totalErrors - MAX_LISTED_ERRORS).toLocaleString()} more` : '');
       
-      validationMsg.innerHTML = `Found ${errors.length} problematic line(s):<br><pre style="margin: 0.5rem 0; white-space: pre-wrap; font-size: 0.8rem;">${errorList}</pre>`;
+      validationMsg.innerHTML = `Found ${totalErrors.toLocaleString()} problematic line(s):<br><pre style="margin: 0.5rem 0; white-space: pre-wrap; font-size: 0.8rem;">${escapeHTML(errorList)}</pre>`;
       validationMsg.className = isImmediate ? 'validation-message immediate' : 'validation-message persistent';
       validationMsg.style.display = 'block';
     }
@@ -366,195 +113,500 @@ function highlightErrorLines(text, errors, isImmediate = false, isNotCSV = false
   }
 }
 
-// Normalize delimiters per line:
-// - Keep quoted segments intact
-// - Replace unquoted tabs and semicolons with commas
-function normalizeLineDelimiters(line) {
-  let out = "";
-  let inQuotes = false;
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-    if (ch === '"') {
-      out += ch;
-      // Toggle quotes unless it's an escaped quote ("")
-      if (i + 1 < line.length && line[i + 1] === '"') {
-        // Escaped quote: include next and skip toggle
-        out += '"';
-        i++;
-      } else {
-        inQuotes = !inQuotes;
-      }
-    } else if (!inQuotes && (ch === "\t" || ch === ";")) {
-      out += ",";
-    } else {
-      out += ch;
-    }
+// Problems worth a second look in a column profile
+function getProfileFlags(profile, dataRows) {
+  const flags = [];
+  if (profile.mixedTypes) {
+    const counts = Object.entries(profile.types).sort((a, b) => b[1] - a[1])
+      .map(([type, count]) => `${count.toLocaleString()} ${type}`);
+    flags.push(`mixed types (${counts.join(', ')})`);
+  }
+  if (profile.whitespace) flags.push(`${profile.whitespace.toLocaleString()} with leading/trailing whitespace`);
+  if (dataRows && profile.empty === dataRows) flags.push('all empty');
+  return flags;
+}
+
+// Profile table for the columns of getCSVStats
+function renderColumnProfiles(profiles, dataRows) {
+  const number = value => value === null ? '' : value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+  const shorten = value => value.length > 30 ? `${value.slice(0, 29)}…` : value;
+  const rows = profiles.map(profile => {
+    const flags = getProfileFlags(profile, dataRows);
+    const emptyShare = dataRows ? ` (${Math.round(profile.empty / dataRows * 100)}%)` : '';
+    const topValues = profile.topValues
+      .map(({ value, count }) => `<span class="profile-value">${escapeHTML(shorten(value))}</span> ×${count.toLocaleString()}`)
+      .join(', ');
+    return `<tr${flags.length ? ' class="flagged"' : ''}>
+      <th scope="row">${escapeHTML(profile.name)}</th>
+      <td>${profile.type}</td>
+      <td>${profile.empty.toLocaleString()}${emptyShare}</td>
+      <td>${profile.distinctCapped ? '≥' : ''}${profile.distinct.toLocaleString()}</td>
+      <td>${number(profile.min)}</td>
+      <td>${number(profile.max)}</td>
+      <td>${number(profile.mean)}</td>
+      <td>${profile.maxLength.toLocaleString()}</td>
+      <td>${topValues}</td>
+      <td>${escapeHTML(flags.join('; '))}</td>
+    </tr>`;
+  }).join('');
+  return `<table class="profile-table">
+    <thead><tr><th>Column</th><th>Type</th><th>Empty</th><th>Distinct</th><th>Min</th><th>Max</th><th>Mean</th><th>Max length</th><th>Top values</th><th>Flags</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>`;
+}
+
+// Show stats computed by getCSVStats (or null to hide the panel). The column
+// profile stays visible with them unless it was collapsed.
+function updateCSVStats(stats, dialect = DEFAULT_DIALECT, autoDetected = false) {
+  const statsEl = document.getElementById('csvStats');
+  const statsContentEl = document.getElementById('statsContent');
+  const dialectInfoEl = document.getElementById('dialectInfo');
+  const profilePanelEl = document.getElementById('profilePanel');
+  const toggleProfileBtn = document.getElementById('toggleProfile');
+  
+  if (stats) {
+    const dataRows = stats.rows - (stats.hasHeader ? 1 : 0);
+    const flagged = stats.columnProfiles.filter(profile => getProfileFlags(profile, dataRows).length).length;
+    statsContentEl.textContent = `${stats.rows.toLocaleString()} rows × ${stats.columns} columns` +
+      (flagged ? ` · ${flagged} column${flagged === 1 ? '' : 's'} flagged` : '');
+    dialectInfoEl.textContent = `${autoDetected ? 'Detected' : 'Using'}: ${describeDialect(dialect)}, ${stats.hasHeader ? 'header row' : 'no header row'}`;
+    statsEl.classList.remove('is-hidden');
+    document.getElementById('profileTable').innerHTML = renderColumnProfiles(stats.columnProfiles, dataRows);
+    profilePanelEl.classList.toggle('is-hidden', toggleProfileBtn.getAttribute('aria-expanded') === 'false');
+  } else {
+    statsEl.classList.add('is-hidden');
+    profilePanelEl.classList.add('is-hidden');
+    const csvPreviewEl = document.getElementById('csvPreview');
+    if (csvPreviewEl) csvPreviewEl.classList.add('is-hidden');
+    const togglePreviewBtn = document.getElementById('togglePreview');
+    if (togglePreviewBtn) togglePreviewBtn.textContent = 'Show Preview';
   }
-  return out;
 }
 
-function normalizeTextDelimiters(text) {
-  // Process line-by-line to avoid cross-line quote interactions
-  return text.split(/\r?\n/).map(normalizeLineDelimiters).join("\r\n");
+// Counts of a diffDocuments result as text, e.g. "2 rows removed, 5 cells changed in 3 rows"
+function describeDiffCounts(counts) {
+  const plural = (count, word) => `${count.toLocaleString()} ${word}${count === 1 ? '' : 's'}`;
+  const parts = [];
+  if (counts.removedRows) parts.push(`${plural(counts.removedRows, 'row')} removed`);
+  if (counts.addedRows) parts.push(`${plural(counts.addedRows, 'row')} added`);
+  if (counts.modifiedCells) parts.push(`${plural(counts.modifiedCells, 'cell')} changed in ${plural(counts.modifiedRows, 'row')}`);
+  return parts.length ? parts.join(', ') : 'no changes';
 }
 
-// AI-focused cleanup functions
-function removeEmptyRows(text) {
-  return text.split(/\r?\n/)
-    .filter(line => line.trim() !== '')
-    .join('\r\n');
+// What each step of applyCleanups changed: removed rows, then changed cells
+// as inline diffs, then the cells it couldn't read and left alone
+function renderCleanupDiff(steps) {
+  return steps.map(({ label, diff, problems = [], problemCount = 0 }) => {
+    const columnName = col => diff.header && diff.header[col] ? diff.header[col] : `column ${col + 1}`;
+    const cellText = value => value === null ? '' : value;
+    const changes = [
+      ...diff.removed.map(row => `<pre class="diff-line diff-del">- Line ${row.line}: ${row.content.trim() ? escapeHTML(row.content) : '(empty row)'}</pre>`),
+      ...diff.added.map(row => `<pre class="diff-line diff-ins">+ ${escapeHTML(row.content)}</pre>`),
+      ...diff.modified.map(cell => {
+        const inline = renderInlineDiff(cellText(cell.before), cellText(cell.after));
+        const fixes = cell.fixes && cell.fixes.length ? ` <span class="subtle">(${escapeHTML(cell.fixes.join(', '))})</span>` : '';
+        return `<div class="diff-cell">Line ${cell.line}, ${escapeHTML(columnName(cell.column))}:
+          <span class="diff-line diff-del">${inline.before}</span> → <span class="diff-line diff-ins">${inline.after}</span>${fixes}</div>`;
+      }),
+      ...problems.map(problem => `<div class="diff-cell">Line ${problem.line}, ${escapeHTML(columnName(problem.column))}:
+          <span class="diff-line">${escapeHTML(problem.value)}</span> <span class="subtle">(left unchanged: ${escapeHTML(problem.message)})</span></div>`)
+    ];
+    const total = diff.counts.removedRows + diff.counts.addedRows + diff.counts.modifiedCells + problemCount;
+    const more = total > changes.length ? `<p class="hint subtle">…and ${(total - changes.length).toLocaleString()} more</p>` : '';
+    const unread = problemCount ? `, ${problemCount.toLocaleString()} cell${problemCount === 1 ? '' : 's'} could not be read` : '';
+    return `<div class="repair-item">
+      <strong>${escapeHTML(label)}:</strong> ${describeDiffCounts(diff.counts)}${unread}
+      ${changes.join('')}${more}
+    </div>`;
+  }).join('');
 }
 
-function trimFieldWhitespace(text) {
-  return text.split(/\r?\n/)
-    .map(line => {
-      if (!line.trim()) return line;
-      try {
-        const parsedFields = parseCSVLine(line); // Now returns { value, wasQuoted }
-        const trimmedAndEscaped = parsedFields.map(field => {
-          const trimmedValue = field.value.trim();
-          // If it was originally quoted, or now needs quoting, force quote
-          return escapeCSVValue(trimmedValue, field.wasQuoted || trimmedValue.includes(',') || trimmedValue.includes('"') || trimmedValue.includes('\n') || trimmedValue.includes('\r'));
-        });
-        return trimmedAndEscaped.join(',');
-      } catch {
-        return line; // If parsing fails, return original
-      }
-    })
-    .join('\r\n');
+// Duplicate groups from findDuplicates: the lines of each group and the row
+// that stays
+const MAX_SHOWN_GROUP_LINES = 20;
+
+function renderDuplicateGroups(report) {
+  if (report.groupCount === 0) return '<p class="subtle">No duplicate rows found.</p>';
+  const plural = (count, word) => `${count.toLocaleString()} ${word}${count === 1 ? '' : 's'}`;
+  const groups = report.groups.map(group => {
+    const lines = group.lines.slice(0, MAX_SHOWN_GROUP_LINES).join(', ') + (group.lines.length > MAX_SHOWN_GROUP_LINES ? ', …' : '');
+    return `<div class="repair-item">
+      <strong>Lines ${lines}:</strong> keeps line ${group.keptLine}${group.merged ? ' with its empty cells filled from the others' : ''}
+      <pre class="diff-line diff-ins">${escapeHTML(group.content)}</pre>
+    </div>`;
+  });
+  const more = report.groupCount > groups.length ? `<p class="hint subtle">…and ${(report.groupCount - groups.length).toLocaleString()} more</p>` : '';
+  return `<p>${plural(report.groupCount, 'duplicate group')}, ${plural(report.removedRows, 'row')} to remove</p>${groups.join('')}${more}`;
 }
 
-function fixSmartQuotes(text) {
-  return text
-    .replace(/[""]/g, '"')  // Smart double quotes to straight
-    .replace(/['']/g, "'")  // Smart single quotes to straight
-    .replace(/…/g, '...')   // Ellipsis to three dots
-    .replace(/–/g, '-')     // En dash to hyphen
-    .replace(/—/g, '-');    // Em dash to hyphen
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
 }
 
-function removeDuplicateRows(text) {
-  const lines = text.split(/\r?\n/);
-  const seen = new Set();
-  const uniqueLines = [];
-  
-  for (const line of lines) {
-    const trimmedLine = line.trim();
-    if (trimmedLine === '' || !seen.has(trimmedLine)) {
-      seen.add(trimmedLine);
-      uniqueLines.push(line);
-    }
+// Human readable size such as "312.4 MB"
+function formatFileSize(bytes) {
+  const units = ['bytes', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
   }
-  
-  return uniqueLines.join('\r\n');
+  return unit === 0 ? `${size} bytes` : `${size.toFixed(1)} ${units[unit]}`;
 }
 
-function getCSVStats(text) {
-  if (!text.trim()) return null;
-  
-  const lines = text.split(/\r?\n/).filter(line => line.trim());
-  if (lines.length === 0) return null;
-  
-  let columnCount = 0;
+// Runs CSV_JOBS in csv-worker.js, or on the main thread if a worker cannot be
+// started (browsers refuse workers for pages opened from file://).
+// run() resolves to the job's result, or null when a newer job of the same
+// type replaced it before it finished.
+function createCSVWorkerClient(workerUrl = 'csv-worker.js') {
+  const pending = new Map();
+  let nextId = 1;
+  let worker = null;
+
   try {
-    const firstLine = lines[0];
-    const values = parseCSVLine(firstLine);
-    columnCount = values.length;
-  } catch {
-    columnCount = (lines[0].match(/,/g) || []).length + 1;
+    worker = new Worker(workerUrl);
+  } catch (err) {
+    worker = null;
   }
-  
+
+  function settle(id, method, value) {
+    const job = pending.get(id);
+    if (!job) return;
+    pending.delete(id);
+    job[method](value);
+  }
+
+  async function runLocally(id, job) {
+    try {
+      const result = await CSV_JOBS[job.type](job.payload, job.onProgress, () => job.cancelled);
+      settle(id, 'resolve', job.cancelled ? null : result);
+    } catch (err) {
+      settle(id, 'reject', err);
+    }
+  }
+
+  if (worker) {
+    worker.addEventListener('message', (e) => {
+      const { id, type } = e.data;
+      const job = pending.get(id);
+      if (!job) return;
+      if (type === 'progress') {
+        job.onProgress(e.data.progress);
+      } else if (type === 'result') {
+        settle(id, 'resolve', e.data.result);
+      } else if (type === 'error') {
+        settle(id, 'reject', new Error(e.data.message));
+      }
+    });
+
+    // A worker that fails to load: finish its jobs here instead
+    worker.addEventListener('error', (e) => {
+      e.preventDefault();
+      worker.terminate();
+      worker = null;
+      for (const [id, job] of pending) runLocally(id, job);
+    });
+  }
+
   return {
-    rows: lines.length,
-    columns: columnCount,
-    hasHeader: lines.length > 0
+    run(type, payload, onProgress = () => {}) {
+      // A new job replaces any unfinished one of the same type
+      for (const [id, job] of pending) {
+        if (job.type !== type) continue;
+        job.cancelled = true;
+        if (worker) worker.postMessage({ id, type: 'cancel' });
+        settle(id, 'resolve', null);
+      }
+
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        const job = { type, payload, onProgress, resolve, reject, cancelled: false };
+        pending.set(id, job);
+        if (worker) {
+          worker.postMessage({ id, type, payload });
+        } else {
+          runLocally(id, job);
+        }
+      });
+    }
   };
 }
 
-function updateCSVStats(text) {
-  const statsEl = document.getElementById('csvStats');
-  const statsContentEl = document.getElementById('statsContent');
-  
-  const stats = getCSVStats(text);
-  if (stats) {
-    statsContentEl.textContent = `${stats.rows} rows × ${stats.columns} columns`;
-    statsEl.style.display = 'block';
-  } else {
-    statsEl.style.display = 'none';
-    const csvPreviewEl = document.getElementById('csvPreview');
-    if (csvPreviewEl) csvPreviewEl.style.display = 'none';
+const GRID_ROW_HEIGHT = 28;
+const GRID_COLUMN_WIDTH = 160;
+const GRID_GUTTER_WIDTH = 56;
+const GRID_OVERSCAN = 10;
+
+// Editable, virtualized grid. Only the rows inside the viewport (plus a small
+// overscan) are in the DOM, so large documents stay responsive.
+// onChange(rows) is called after every edit or structural change.
+function createGridView(rootEl, onChange) {
+  const viewportEl = rootEl.querySelector('.grid-viewport');
+  const headerEl = rootEl.querySelector('.grid-header');
+  const canvasEl = rootEl.querySelector('.grid-canvas');
+  const rowsEl = rootEl.querySelector('.grid-rows');
+  const editorEl = rootEl.querySelector('.grid-editor');
+  const statusEl = rootEl.querySelector('.grid-status');
+
+  let rows = [];
+  let columnCount = 0;
+  let selected = { row: 0, col: 0 };
+  let editing = null;
+  let renderQueued = false;
+
+  function getWidth() {
+    return GRID_GUTTER_WIDTH + columnCount * GRID_COLUMN_WIDTH;
   }
-}
 
-function generatePreviewTable(text) {
-  if (!text.trim()) return '';
-  
-  const lines = text.split(/\r?\n/).filter(line => line.trim());
-  if (lines.length === 0) return '';
-  
-  const previewLines = lines.slice(0, 6); // Header + 5 data rows
-  const rows = [];
-  
-  for (const line of previewLines) {
-    try {
-      const values = parseCSVLine(line);
-      // Extract just the value from each parsed field object
-      rows.push(values.map(field => field.value));
-    } catch {
-      // If parsing fails, split by comma as fallback
-      rows.push(line.split(','));
+  function renderHeader() {
+    let html = `<div class="grid-gutter grid-corner"></div>`;
+    for (let col = 0; col < columnCount; col++) {
+      const cls = col === selected.col ? 'grid-col-label is-selected' : 'grid-col-label';
+      html += `<div class="${cls}" style="width:${GRID_COLUMN_WIDTH}px">${getColumnLabel(col)}</div>`;
     }
+    headerEl.innerHTML = html;
+    headerEl.style.width = `${getWidth()}px`;
   }
-  
-  if (rows.length === 0) return '';
-  
-  let html = '<table class="preview-table">';
-  
-  // Header row
-  if (rows.length > 0) {
-    html += '<thead><tr>';
-    for (const cell of rows[0]) {
-      const cellText = cell.length > 30 ? cell.substring(0, 30) + '...' : cell;
-      html += `<th title="${cell.replace(/"/g, '&quot;')}">${cellText}</th>`;
+
+  function render() {
+    renderQueued = false;
+    const first = Math.max(0, Math.floor(viewportEl.scrollTop / GRID_ROW_HEIGHT) - GRID_OVERSCAN);
+    const visibleCount = Math.ceil(viewportEl.clientHeight / GRID_ROW_HEIGHT) + GRID_OVERSCAN * 2;
+    const last = Math.min(rows.length, first + visibleCount);
+
+    canvasEl.style.height = `${rows.length * GRID_ROW_HEIGHT}px`;
+    canvasEl.style.width = `${getWidth()}px`;
+    rowsEl.style.transform = `translateY(${first * GRID_ROW_HEIGHT}px)`;
+
+    let html = '';
+    for (let r = first; r < last; r++) {
+      const row = rows[r];
+      html += `<div class="grid-row${r === selected.row ? ' is-selected' : ''}" data-row="${r}">`;
+      html += `<div class="grid-gutter">${r + 1}</div>`;
+      for (let col = 0; col < columnCount; col++) {
+        let cls = 'grid-cell';
+        if (col >= row.length) cls += ' grid-cell--missing';
+        if (r === selected.row && col === selected.col) cls += ' is-selected';
+        const value = col < row.length ? row[col] : '';
+        // Line breaks are shown as a marker so each row keeps a fixed height
+        const display = escapeHTML(value).replace(/\r?\n/g, '<span class="grid-newline">↵</span>');
+        html += `<div class="${cls}" data-col="${col}" title="${escapeHTML(value)}">${display}</div>`;
+      }
+      html += '</div>';
     }
-    html += '</tr></thead>';
+    rowsEl.innerHTML = html;
+    renderHeader();
+    updateStatus();
   }
-  
-  // Data rows
-  if (rows.length > 1) {
-    html += '<tbody>';
-    for (let i = 1; i < rows.length; i++) {
-      html += '<tr>';
-      for (const cell of rows[i]) {
-        const cellText = cell.length > 30 ? cell.substring(0, 30) + '...' : cell;
-        html += `<td title="${cell.replace(/"/g, '&quot;')}">${cellText}</td>`;
-      }
-      html += '</tr>';
+
+  function queueRender() {
+    if (renderQueued) return;
+    renderQueued = true;
+    requestAnimationFrame(render);
+  }
+
+  function updateStatus() {
+    if (!statusEl) return;
+    statusEl.textContent = rows.length
+      ? `Row ${selected.row + 1}, column ${getColumnLabel(selected.col)} · ${rows.length.toLocaleString()} rows × ${columnCount} columns`
+      : 'Empty document';
+  }
+
+  function clampSelection() {
+    selected.row = Math.min(Math.max(selected.row, 0), Math.max(rows.length - 1, 0));
+    selected.col = Math.min(Math.max(selected.col, 0), Math.max(columnCount - 1, 0));
+  }
+
+  function scrollSelectionIntoView() {
+    const top = selected.row * GRID_ROW_HEIGHT;
+    const headerHeight = headerEl.offsetHeight;
+    if (top < viewportEl.scrollTop) {
+      viewportEl.scrollTop = top;
+    } else if (top + GRID_ROW_HEIGHT > viewportEl.scrollTop + viewportEl.clientHeight - headerHeight) {
+      viewportEl.scrollTop = top + GRID_ROW_HEIGHT - viewportEl.clientHeight + headerHeight;
+    }
+    const left = GRID_GUTTER_WIDTH + selected.col * GRID_COLUMN_WIDTH;
+    if (left - GRID_GUTTER_WIDTH < viewportEl.scrollLeft) {
+      viewportEl.scrollLeft = left - GRID_GUTTER_WIDTH;
+    } else if (left + GRID_COLUMN_WIDTH > viewportEl.scrollLeft + viewportEl.clientWidth) {
+      viewportEl.scrollLeft = left + GRID_COLUMN_WIDTH - viewportEl.clientWidth;
     }
-    html += '</tbody>';
   }
-  
-  html += '</table>';
-  return html;
-}
 
-function makeBlobFromText(text, addBom) {
-  if (addBom) {
-    const bom = new Uint8Array([0xEF, 0xBB, 0xBF]);
-    return new Blob([bom, text], { type: "text/csv;charset=utf-8" });
+  function select(row, col) {
+    selected = { row, col };
+    clampSelection();
+    scrollSelectionIntoView();
+    render();
   }
-  return new Blob([text], { type: "text/csv;charset=utf-8" });
-}
 
-function downloadBlob(blob, filename) {
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
+  function emitChange() {
+    columnCount = getMaxColumnCount(rows);
+    clampSelection();
+    render();
+    onChange(rows);
+  }
+
+  // Editing uses a single textarea placed over the selected cell
+  function startEditing(initialValue) {
+    if (!rows.length) return;
+    const row = rows[selected.row];
+    editing = { row: selected.row, col: selected.col };
+    editorEl.value = initialValue !== undefined ? initialValue : (row[selected.col] || '');
+    editorEl.style.top = `${selected.row * GRID_ROW_HEIGHT}px`;
+    editorEl.style.left = `${GRID_GUTTER_WIDTH + selected.col * GRID_COLUMN_WIDTH}px`;
+    editorEl.style.width = `${GRID_COLUMN_WIDTH}px`;
+    editorEl.classList.remove('is-hidden');
+    editorEl.focus();
+    editorEl.setSelectionRange(editorEl.value.length, editorEl.value.length);
+  }
+
+  function stopEditing(commit) {
+    if (!editing) return;
+    const { row, col } = editing;
+    editing = null;
+    editorEl.classList.add('is-hidden');
+    viewportEl.focus();
+    if (!commit) return;
+
+    const target = rows[row];
+    const value = editorEl.value;
+    if (target[col] === value) return;
+    // Typing into a missing cell pads the row up to that column
+    while (target.length <= col) target.push('');
+    target[col] = value;
+    emitChange();
+  }
+
+  const actions = {
+    insertRowAbove() {
+      insertGridRow(rows, rows.length ? selected.row : 0, columnCount);
+    },
+    insertRowBelow() {
+      insertGridRow(rows, rows.length ? selected.row + 1 : 0, columnCount);
+      if (rows.length > 1) selected.row++;
+    },
+    deleteRow() {
+      rows.splice(selected.row, 1);
+    },
+    moveRowUp() {
+      if (moveGridRow(rows, selected.row, selected.row - 1)) selected.row--;
+    },
+    moveRowDown() {
+      if (moveGridRow(rows, selected.row, selected.row + 1)) selected.row++;
+    },
+    insertColumnLeft() {
+      if (!rows.length) insertGridRow(rows, 0, 1);
+      insertGridColumn(rows, selected.col);
+    },
+    insertColumnRight() {
+      if (!rows.length) insertGridRow(rows, 0, 1);
+      insertGridColumn(rows, columnCount ? selected.col + 1 : 0);
+      if (columnCount) selected.col++;
+    },
+    deleteColumn() {
+      deleteGridColumn(rows, selected.col);
+    },
+    moveColumnLeft() {
+      moveGridColumn(rows, selected.col, selected.col - 1);
+      if (selected.col > 0) selected.col--;
+    },
+    moveColumnRight() {
+      moveGridColumn(rows, selected.col, selected.col + 1);
+      if (selected.col < columnCount - 1) selected.col++;
+    }
+  };
+
+  function runAction(name) {
+    if (!actions[name]) return;
+    stopEditing(true);
+    actions[name]();
+    emitChange();
+    scrollSelectionIntoView();
+  }
+
+  viewportEl.addEventListener('scroll', queueRender);
+
+  rowsEl.addEventListener('mousedown', (e) => {
+    const cellEl = e.target.closest('.grid-cell');
+    if (!cellEl) return;
+    stopEditing(true);
+    const rowEl = cellEl.parentElement;
+    select(Number(rowEl.dataset.row), Number(cellEl.dataset.col));
+    e.preventDefault();
+    viewportEl.focus();
+  });
+
+  rowsEl.addEventListener('dblclick', (e) => {
+    if (e.target.closest('.grid-cell')) startEditing();
+  });
+
+  viewportEl.addEventListener('keydown', (e) => {
+    if (editing || e.target === editorEl) return;
+    const moves = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+    if (moves[e.key]) {
+      select(selected.row + moves[e.key][0], selected.col + moves[e.key][1]);
+      e.preventDefault();
+    } else if (e.key === 'Enter' || e.key === 'F2') {
+      startEditing();
+      e.preventDefault();
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+      startEditing('');
+      stopEditing(true);
+      e.preventDefault();
+    } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      // Typing starts editing with the typed character, like a spreadsheet
+      startEditing(e.key);
+      e.preventDefault();
+    }
+  });
+
+  editorEl.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      stopEditing(false);
+      e.preventDefault();
+    } else if (e.key === 'Enter' && !e.altKey && !e.shiftKey) {
+      // Alt/Shift+Enter inserts a line break inside the cell
+      stopEditing(true);
+      select(selected.row + 1, selected.col);
+      e.preventDefault();
+    } else if (e.key === 'Tab') {
+      stopEditing(true);
+      select(selected.row, selected.col + (e.shiftKey ? -1 : 1));
+      e.preventDefault();
+    }
+  });
+
+  editorEl.addEventListener('blur', () => stopEditing(true));
+
+  rootEl.querySelectorAll('[data-grid-action]').forEach(buttonEl => {
+    buttonEl.addEventListener('click', () => runAction(buttonEl.dataset.gridAction));
+  });
+
+  return {
+    setRows(newRows) {
+      if (editing) stopEditing(false);
+      rows = newRows;
+      columnCount = getMaxColumnCount(rows);
+      clampSelection();
+      render();
+    },
+    getRows() {
+      return rows;
+    },
+    render,
+    focus() {
+      viewportEl.focus();
+    }
+  };
 }
 
 // Initialize the application when DOM is loaded
@@ -562,136 +614,1090 @@ document.addEventListener('DOMContentLoaded', function() {
   // Wire UI
   const inputEl = document.getElementById("csvInput");
   const filenameEl = document.getElementById("filename");
-  const normalizeEl = document.getElementById("normalize");
   const addBomEl = document.getElementById("addBom");
   const btn = document.getElementById("downloadBtn");
   const fileInputEl = document.getElementById("fileInput");
   const selectedFilenameEl = document.getElementById("selectedFilename");
+
+  // Upload encoding
+  const uploadEncodingEl = document.getElementById("uploadEncoding");
+  const encodingSelectEl = document.getElementById("encodingSelect");
+  const encodingInfoEl = document.getElementById("encodingInfo");
+  const encodingPreviewEl = document.getElementById("encodingPreview");
   
-  // AI cleanup options
-  const removeEmptyRowsEl = document.getElementById("removeEmptyRows");
-  const trimWhitespaceEl = document.getElementById("trimWhitespace");
-  const fixSmartQuotesEl = document.getElementById("fixSmartQuotes");
-  const removeDuplicatesEl = document.getElementById("removeDuplicates");
-  const cleanupContainer = document.getElementById("cleanupOptions"); // This is now 'control-panel'
+  // Paste options
+  const extractTablesEl = document.getElementById("extractTables");
 
   // Select All button and Preview functionality
   const selectAllCleanupBtn = document.getElementById("selectAllCleanup");
   const togglePreviewBtn = document.getElementById("togglePreview");
   const csvPreviewEl = document.getElementById("csvPreview");
+  const previewTitleEl = document.getElementById("previewTitle");
+
+  // Repair workflow
+  const repairActionsEl = document.getElementById("repairActions");
+  const repairPanelEl = document.getElementById("repairPanel");
+  const repairListEl = document.getElementById("repairList");
+  const mismatchStrategyEl = document.getElementById("mismatchStrategy");
+  const mergeColumnEl = document.getElementById("mergeColumn");
+
+  // Text / grid view switch
+  const textViewBtn = document.getElementById("textViewBtn");
+  const gridViewBtn = document.getElementById("gridViewBtn");
+  const editorWrapperEl = document.getElementById("editorWrapper");
+  const gridViewEl = document.getElementById("gridView");
+
+  // File mode panel
+  const fileModePanelEl = document.getElementById("fileModePanel");
+  const fileModeNameEl = document.getElementById("fileModeName");
+  const fileModeSizeEl = document.getElementById("fileModeSize");
+
+  // Output format options
+  const outDelimiterEl = document.getElementById("outDelimiter");
+  const outQuoteEl = document.getElementById("outQuote");
+  const outQuotingEl = document.getElementById("outQuoting");
+  const outLineEndingEl = document.getElementById("outLineEnding");
+  const outEncodingEl = document.getElementById("outEncoding");
 
-  // Utility to get all cleanup checkboxes within the single options block
-  function getCleanupCheckboxes() {
-    // include both AI cleanup and general checkboxes inside the consolidated block
-    return Array.from(cleanupContainer.querySelectorAll('input[type="checkbox"]'));
+  // Export format and its options
+  const exportFormatEl = document.getElementById("exportFormat");
+  const exportOptionsEl = document.getElementById("exportOptions");
+  const exportHeaderKeysEl = document.getElementById("exportHeaderKeys");
+  const exportPrettyEl = document.getElementById("exportPretty");
+  const exportTableNameEl = document.getElementById("exportTableName");
+  const exportIdentifierQuoteEl = document.getElementById("exportIdentifierQuote");
+
+  // Dialect override dropdowns ("auto" uses the sniffed value)
+  const delimiterSelectEl = document.getElementById("delimiterSelect");
+  const quoteSelectEl = document.getElementById("quoteSelect");
+  const headerSelectEl = document.getElementById("headerSelect");
+
+  // Resolve the dialect to parse the editor text with: sniffed, unless overridden
+  function getDialectOverrides() {
+    const overrides = {};
+    if (delimiterSelectEl.value !== 'auto') overrides.delimiter = DELIMITERS[delimiterSelectEl.value];
+    if (quoteSelectEl.value !== 'auto') overrides.quote = QUOTES[quoteSelectEl.value];
+    if (headerSelectEl.value !== 'auto') overrides.hasHeader = headerSelectEl.value === 'yes';
+    return overrides;
   }
 
-  // Update Select All button label according to current state
-  function syncSelectAllLabel() {
-    const boxes = getCleanupCheckboxes();
-    const allChecked = boxes.length > 0 && boxes.every(cb => cb.checked);
-    selectAllCleanupBtn.textContent = allChecked ? 'Deselect All' : 'Select All';
+  function getActiveDialect(text) {
+    return sniffDialect(text, getDialectOverrides());
   }
 
-  // Select/Deselect all options within the consolidated block
-  if (selectAllCleanupBtn && cleanupContainer) {
-    selectAllCleanupBtn.addEventListener('click', () => {
-      const boxes = getCleanupCheckboxes();
-      const allChecked = boxes.length > 0 && boxes.every(cb => cb.checked);
-      const target = !allChecked;
-      boxes.forEach(cb => { cb.checked = target; });
-      syncSelectAllLabel();
-    });
+  // Dialect the download is written with; "same" keeps the input's value
+  function getOutputDialect(inputDialect) {
+    return {
+      delimiter: outDelimiterEl.value === 'same' ? inputDialect.delimiter : DELIMITERS[outDelimiterEl.value],
+      quote: outQuoteEl.value === 'same' ? inputDialect.quote : QUOTES[outQuoteEl.value],
+      quoting: QUOTING_POLICIES.includes(outQuotingEl.value) ? outQuotingEl.value : 'minimal',
+      lineEnding: outLineEndingEl.value === 'lf' ? '\n' : '\r\n',
+      encoding: OUTPUT_ENCODINGS.includes(outEncodingEl.value) ? outEncodingEl.value : 'utf-8'
+    };
+  }
+
+  function getExportFormat() {
+    return EXPORT_FORMATS[exportFormatEl.value] ? exportFormatEl.value : 'csv';
+  }
+
+  function getExportOptions() {
+    return {
+      headerAsKeys: exportHeaderKeysEl.checked,
+      pretty: exportPrettyEl.checked,
+      tableName: exportTableNameEl.value.trim() || 'data',
+      identifierQuote: exportIdentifierQuoteEl.value
+    };
+  }
 
-    // Keep the button label in sync when user toggles individual options
-    getCleanupCheckboxes().forEach(cb => {
-      cb.addEventListener('change', syncSelectAllLabel);
+  // Show the chosen format's options and keep the button and filename in step
+  function syncExportFormat() {
+    const format = getExportFormat();
+    let hasOptions = false;
+    exportOptionsEl.querySelectorAll('[data-export-formats]').forEach(el => {
+      const applies = el.dataset.exportFormats.split(' ').includes(format);
+      el.classList.toggle('is-hidden', !applies);
+      hasOptions = hasOptions || applies;
     });
-    // Initial sync
-    syncSelectAllLabel();
+    exportOptionsEl.classList.toggle('is-hidden', !hasOptions);
+    btn.textContent = `Download ${EXPORT_FORMATS[format].label}`;
+    filenameEl.value = ensureExtension(filenameEl.value, EXPORT_FORMATS[format].extension);
+  }
+
+  exportFormatEl.addEventListener('change', syncExportFormat);
+  syncExportFormat();
+
+  function isDialectAuto() {
+    return delimiterSelectEl.value === 'auto' && quoteSelectEl.value === 'auto' && headerSelectEl.value === 'auto';
+  }
+
+  // Overrides for reading other tables than the editor text (compared or
+  // combined files): only the header choice carries over
+  function getHeaderOverrides() {
+    return headerSelectEl.value === 'auto' ? {} : { hasHeader: headerSelectEl.value === 'yes' };
+  }
+
+  // Sort and filter: a row view (see applyRowView) shown in the preview and
+  // optionally applied to the download, with the matching rows counted
+  const viewPanelEl = document.getElementById('viewPanel');
+  const viewInfoEl = document.getElementById('viewInfo');
+  const toggleViewBtn = document.getElementById('toggleView');
+  const viewOnDownloadEl = document.getElementById('viewOnDownload');
+  const rowView = { sort: [], filters: [] };
+
+  // Re-render the preview table if it is currently shown, through the row
+  // view when one is set
+  function refreshPreview(text, dialect) {
+    if (!fileModeFile && isRowViewActive(rowView)) {
+      refreshRowView(text, dialect);
+      return;
+    }
+    viewInfoEl.classList.add('is-hidden');
+    if (csvPreviewEl.classList.contains('is-hidden') || fileModeFile) return;
+    previewTitleEl.textContent = `📋 Data Preview (first ${PREVIEW_ROWS} rows)`;
+    document.getElementById('previewTable').innerHTML = generatePreviewTable(text, dialect);
   }
 
+  async function refreshRowView(text, dialect) {
+    let result;
+    try {
+      result = await csvWorker.run('viewRows', { text, dialect, view: rowView, limit: PREVIEW_ROWS });
+    } catch (err) {
+      viewInfoEl.textContent = `Filter error: ${err && err.message ? err.message : String(err)}`;
+      viewInfoEl.classList.remove('is-hidden');
+      return;
+    }
+    if (!result || inputEl.value !== text || !isRowViewActive(rowView)) return;
+    viewInfoEl.textContent = `${result.matched.toLocaleString()} of ${result.total.toLocaleString()} rows match`;
+    viewInfoEl.classList.remove('is-hidden');
+    if (csvPreviewEl.classList.contains('is-hidden')) return;
+    const shown = Math.min(result.matched, PREVIEW_ROWS);
+    previewTitleEl.textContent = `📋 Data Preview (first ${shown} of ${result.matched.toLocaleString()} matching rows)`;
+    document.getElementById('previewTable').innerHTML = result.matched
+      ? renderPreviewRows(result.rows, result.hasHeader)
+      : '<p class="subtle">No rows match the filters.</p>';
+  }
+
+  // Cleanup pipeline: the registered cleanup steps in the order they run, each
+  // with its options. Presets are named pipelines kept in localStorage.
+  const pipelineEl = document.getElementById('cleanupPipeline');
+  const presetSelectEl = document.getElementById('presetSelect');
+  const deletePresetBtn = document.getElementById('deletePresetBtn');
+  const presetFileInputEl = document.getElementById('presetFileInput');
+  let currentPipeline = createCleanupPipeline();
+
+  function getCleanupPipeline() {
+    return createCleanupPipeline(currentPipeline);
+  }
+
+  function isStepEnabled(name) {
+    return currentPipeline.steps.some(entry => entry.name === name && entry.enabled);
+  }
+
+  function renderStepOption(option, entry, index) {
+    const attrs = `data-step-index="${index}" data-step-option="${option.name}" title="${escapeHTML(option.label)}"`;
+    const value = entry.options[option.name];
+    if (option.type === 'select') {
+      const choices = option.choices
+        .map(choice => `<option value="${escapeHTML(choice.value)}"${choice.value === value ? ' selected' : ''}>${escapeHTML(choice.label)}</option>`)
+        .join('');
+      return `<select class="select-sm" ${attrs}>${choices}</select>`;
+    }
+    if (option.type === 'checkbox') {
+      return `<label class="step-option"><input type="checkbox" ${attrs}${value ? ' checked' : ''} /> ${escapeHTML(option.label)}</label>`;
+    }
+    return `<input class="input-sm" ${attrs} value="${escapeHTML(String(value))}" placeholder="${escapeHTML(option.placeholder || option.label)}" />`;
+  }
+
+  function renderPipeline() {
+    const last = currentPipeline.steps.length - 1;
+    pipelineEl.innerHTML = currentPipeline.steps.map((entry, index) => {
+      const step = getCleanupStep(entry.name);
+      return `<li class="option-tile pipeline-step${entry.enabled ? '' : ' is-off'}">
+        <label><input type="checkbox" data-step-index="${index}" data-step-enabled${entry.enabled ? ' checked' : ''} /> ${escapeHTML(step.label)}</label>
+        ${step.options.map(option => renderStepOption(option, entry, index)).join('')}
+        <span class="pipeline-move">
+          <button class="btn xs" type="button" data-step-index="${index}" data-step-move="-1" title="Run earlier"${index === 0 ? ' disabled' : ''}>↑</button>
+          <button class="btn xs" type="button" data-step-index="${index}" data-step-move="1" title="Run later"${index === last ? ' disabled' : ''}>↓</button>
+        </span>
+      </li>`;
+    }).join('');
+    selectAllCleanupBtn.textContent = currentPipeline.steps.every(entry => entry.enabled) ? 'Deselect All' : 'Select All';
+  }
+
+  pipelineEl.addEventListener('change', (e) => {
+    const el = e.target;
+    const entry = currentPipeline.steps[Number(el.dataset.stepIndex)];
+    if (!entry) return;
+    if (el.dataset.stepEnabled !== undefined) {
+      entry.enabled = el.checked;
+    } else if (el.dataset.stepOption) {
+      entry.options[el.dataset.stepOption] = el.type === 'checkbox' ? el.checked : el.value;
+    }
+    renderPipeline();
+    if (entry.name === 'removeDuplicates') refreshDuplicateReport();
+  });
+
+  pipelineEl.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-step-move]');
+    if (!button) return;
+    const steps = currentPipeline.steps;
+    const index = Number(button.dataset.stepIndex);
+    const target = index + Number(button.dataset.stepMove);
+    [steps[index], steps[target]] = [steps[target], steps[index]];
+    renderPipeline();
+    // Keep focus on the moved step's button so it can be moved again
+    const moved = pipelineEl.querySelector(`[data-step-index="${target}"][data-step-move="${button.dataset.stepMove}"]`);
+    if (moved && !moved.disabled) moved.focus();
+  });
+
+  selectAllCleanupBtn.addEventListener('click', () => {
+    const enable = !currentPipeline.steps.every(entry => entry.enabled);
+    currentPipeline.steps.forEach(entry => { entry.enabled = enable; });
+    renderPipeline();
+  });
+
+  function readCleanupPresets() {
+    try {
+      const presets = JSON.parse(localStorage.getItem(CLEANUP_PRESETS_KEY) || '{}');
+      return presets && typeof presets === 'object' ? presets : {};
+    } catch (err) {
+      return {};
+    }
+  }
+
+  function writeCleanupPresets(presets) {
+    try {
+      localStorage.setItem(CLEANUP_PRESETS_KEY, JSON.stringify(presets));
+      return true;
+    } catch (err) {
+      alert("Failed to save presets: " + (err && err.message ? err.message : String(err)));
+      return false;
+    }
+  }
+
+  function renderPresetOptions(selected) {
+    const names = Object.keys(readCleanupPresets()).sort((a, b) => a.localeCompare(b));
+    presetSelectEl.innerHTML = '<option value="">Custom</option>' +
+      names.map(name => `<option value="${escapeHTML(name)}">${escapeHTML(name)}</option>`).join('');
+    presetSelectEl.value = names.includes(selected) ? selected : '';
+    deletePresetBtn.disabled = !presetSelectEl.value;
+  }
+
+  function savePreset(name, pipeline) {
+    const presets = readCleanupPresets();
+    presets[name] = { steps: createCleanupPipeline(pipeline).steps };
+    if (writeCleanupPresets(presets)) renderPresetOptions(name);
+  }
+
+  presetSelectEl.addEventListener('change', () => {
+    const preset = readCleanupPresets()[presetSelectEl.value];
+    if (preset) {
+      currentPipeline = createCleanupPipeline(preset);
+      renderPipeline();
+    }
+    deletePresetBtn.disabled = !presetSelectEl.value;
+  });
+
+  document.getElementById('savePresetBtn').addEventListener('click', () => {
+    const input = prompt('Save the cleanup pipeline as:', presetSelectEl.value);
+    const name = input ? input.trim() : '';
+    if (!name) return;
+    if (name !== presetSelectEl.value && readCleanupPresets()[name] && !confirm(`Replace the preset "${name}"?`)) return;
+    savePreset(name, currentPipeline);
+  });
+
+  deletePresetBtn.addEventListener('click', () => {
+    const name = presetSelectEl.value;
+    if (!name || !confirm(`Delete the preset "${name}"?`)) return;
+    const presets = readCleanupPresets();
+    delete presets[name];
+    if (writeCleanupPresets(presets)) renderPresetOptions('');
+  });
+
+  document.getElementById('exportPresetBtn').addEventListener('click', () => {
+    const name = presetSelectEl.value || 'cleanup';
+    const filename = ensureExtension(name.replace(/[^\w.-]+/g, '-'), 'json');
+    downloadBlob(new Blob([serializePipeline(currentPipeline, name)], { type: 'application/json' }), filename);
+  });
+
+  document.getElementById('importPresetBtn').addEventListener('click', () => presetFileInputEl.click());
+
+  presetFileInputEl.addEventListener('change', async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    try {
+      const { name, ...pipeline } = parsePipelineJSON(await file.text());
+      currentPipeline = pipeline;
+      renderPipeline();
+      savePreset(name.trim() || file.name.replace(/\.json$/i, ''), pipeline);
+    } catch (err) {
+      alert("Failed to load preset: " + (err && err.message ? err.message : String(err)));
+    } finally {
+      e.target.value = "";
+    }
+  });
+
+  renderPipeline();
+  renderPresetOptions('');
+
   // Preview toggle
   if (togglePreviewBtn && csvPreviewEl) {
     togglePreviewBtn.addEventListener('click', () => {
       const text = inputEl.value || "";
       // Check if preview is currently visible
-      const isVisible = csvPreviewEl.style.display === 'block';
+      const isVisible = !csvPreviewEl.classList.contains('is-hidden');
       if (!isVisible) {
-        const previewHTML = generatePreviewTable(text);
+        const previewHTML = fileModeFile
+          ? renderPreviewRows(currentValidationResult ? currentValidationResult.sampleRows : [], !currentDialect || currentDialect.hasHeader !== false)
+          : generatePreviewTable(text, getActiveDialect(text));
         if (previewHTML) {
           document.getElementById('previewTable').innerHTML = previewHTML;
-          csvPreviewEl.style.display = 'block';
+          csvPreviewEl.classList.remove('is-hidden');
           togglePreviewBtn.textContent = 'Hide Preview';
+          if (!fileModeFile) refreshPreview(text, getActiveDialect(text));
         }
       } else {
-        csvPreviewEl.style.display = 'none';
+        csvPreviewEl.classList.add('is-hidden');
         togglePreviewBtn.textContent = 'Show Preview';
       }
     });
   }
 
-  // Validation state
-  let validationTimeout;
-  let immediateValidationTimeout;
-  let currentValidationResult = null;
-  let lastCursorPosition = 0;
+  // Grid view: rows are parsed with the dialect active when the grid was filled
+  // and written back to the textarea with that same dialect after every edit.
+  // Blank lines stay in the grid as empty rows and rows an edit left alone
+  // keep their source text, so only the edited rows are rewritten.
+  let gridDialect = DEFAULT_DIALECT;
+  let gridSyncedText = null;
+  let gridLineEnding = '\n';
+  let gridTrailingNewline = false;
+  // Row array -> { values, text } as read from the textarea
+  let gridRowSources = new WeakMap();
+
+  function getGridRowText(row) {
+    const source = gridRowSources.get(row);
+    const unchanged = source && source.values.length === row.length && row.every((value, index) => value === source.values[index]);
+    return unchanged ? source.text : formatCSVRow(row, gridDialect);
+  }
+
+  const gridView = createGridView(gridViewEl, (rows) => {
+    let text = rows.map(getGridRowText).join(gridLineEnding);
+    if (gridTrailingNewline && text) text += gridLineEnding;
+    inputEl.value = text;
+    gridSyncedText = text;
+    performValidation();
+  });
+
+  function isGridVisible() {
+    return !gridViewEl.classList.contains('is-hidden');
+  }
+
+  // Refill the grid when the text changed outside of it (typing, upload)
+  function syncGridFromText(text, dialect) {
+    if (!isGridVisible() || text === gridSyncedText) return;
+    const records = text ? parseCSV(text, dialect).records : [];
+    const lineBreak = /\r?\n/.exec(text);
+    gridDialect = dialect;
+    gridSyncedText = text;
+    gridLineEnding = lineBreak ? lineBreak[0] : '\n';
+    // The line break ending the text reads as a last, empty record
+    gridTrailingNewline = /\n$/.test(text);
+    if (gridTrailingNewline) records.pop();
+    gridRowSources = new WeakMap();
+    gridView.setRows(records.map(record => {
+      const row = record.isEmpty ? [] : record.fields.map(field => field.value);
+      gridRowSources.set(row, { values: row.slice(), text: getRecordText(text, record) });
+      return row;
+    }));
+  }
+
+  function setView(view) {
+    const showGrid = view === 'grid';
+    gridViewEl.classList.toggle('is-hidden', !showGrid);
+    editorWrapperEl.classList.toggle('is-hidden', showGrid);
+    gridViewBtn.classList.toggle('is-active', showGrid);
+    textViewBtn.classList.toggle('is-active', !showGrid);
+    if (showGrid) {
+      const text = inputEl.value || "";
+      gridSyncedText = null;
+      syncGridFromText(text, getActiveDialect(text));
+      gridView.focus();
+    } else {
+      inputEl.focus();
+    }
+  }
+
+  textViewBtn.addEventListener('click', () => setView('text'));
+  gridViewBtn.addEventListener('click', () => setView('grid'));
+
+  // Repairs for the current text, as last shown in the repair panel
+  let pendingRepairs = null;
+
+  // Work out the repairs in the worker. Resolves to null when the text
+  // changed meanwhile or a newer request replaced this one.
+  async function computeRepairs() {
+    const text = inputEl.value || "";
+    const dialect = getActiveDialect(text);
+    const options = { strategy: mismatchStrategyEl.value, mergeColumn: Number(mergeColumnEl.value) || undefined };
+    let result;
+    try {
+      result = await csvWorker.run('findRepairs', { text, dialect, options }, showProgress);
+    } catch (err) {
+      alert("Failed to find fixes: " + (err && err.message ? err.message : String(err)));
+      return null;
+    } finally {
+      hideProgress();
+    }
+    if (!result || inputEl.value !== text) return null;
+    return { ...result, text, dialect };
+  }
+
+  async function renderRepairList() {
+    const computed = await computeRepairs();
+    if (!computed) return;
+    pendingRepairs = computed;
+    const { repairs, expectedColumnCount } = pendingRepairs;
+
+    mergeColumnEl.classList.toggle('is-hidden', mismatchStrategyEl.value !== 'merge');
+    if (expectedColumnCount) {
+      mergeColumnEl.max = expectedColumnCount;
+      mergeColumnEl.placeholder = `Column ${expectedColumnCount}`;
+    }
+
+    if (repairs.length === 0) {
+      repairListEl.innerHTML = '<p class="subtle">No automatic fixes are available for the current errors.</p>';
+      return;
+    }
+
+    let html = '';
+    if (repairs.some(repair => repair.overflow)) {
+      html += '<p class="hint subtle">Moving extras to an overflow column adds an "overflow" column to every row.</p>';
+    }
+    html += repairs.map((repair, index) => {
+      const diff = renderInlineDiff(repair.before, repair.after);
+      return `<div class="repair-item">
+        <label><input type="checkbox" data-repair-index="${index}" checked /> Line ${repair.line}: ${escapeHTML(repair.error)}</label>
+        <pre class="diff-line diff-del">- ${diff.before}</pre>
+        <pre class="diff-line diff-ins">+ ${diff.after}</pre>
+      </div>`;
+    }).join('');
+    repairListEl.innerHTML = html;
+  }
+
+  // Cleanup history: cleanups applied to the editor text can be undone and
+  // redone. Entries keep the text before and after, and the diff of each step.
+  const applyCleanupsBtn = document.getElementById('applyCleanupsBtn');
+  const undoCleanupBtn = document.getElementById('undoCleanupBtn');
+  const redoCleanupBtn = document.getElementById('redoCleanupBtn');
+  const cleanupDiffPanelEl = document.getElementById('cleanupDiffPanel');
+  const cleanupHistory = { undo: [], redo: [] };
+
+  function syncHistoryButtons() {
+    const last = list => list[list.length - 1];
+    undoCleanupBtn.disabled = cleanupHistory.undo.length === 0;
+    redoCleanupBtn.disabled = cleanupHistory.redo.length === 0;
+    undoCleanupBtn.title = cleanupHistory.undo.length ? `Undo ${last(cleanupHistory.undo).label}` : 'Nothing to undo';
+    redoCleanupBtn.title = cleanupHistory.redo.length ? `Redo ${last(cleanupHistory.redo).label}` : 'Nothing to redo';
+  }
+
+  // Record a change of the whole text so Undo can take it back
+  function pushCleanupHistory(entry) {
+    cleanupHistory.undo.push(entry);
+    cleanupHistory.redo = [];
+    syncHistoryButtons();
+  }
+
+  function clearCleanupHistory() {
+    cleanupHistory.undo = [];
+    cleanupHistory.redo = [];
+    cleanupDiffPanelEl.classList.add('is-hidden');
+    syncHistoryButtons();
+  }
+
+  function showCleanupDiff(title, entry) {
+    // Entries without steps (repairs) have no change list to show
+    if (!entry.steps.length) {
+      cleanupDiffPanelEl.classList.add('is-hidden');
+      return;
+    }
+    document.getElementById('cleanupDiffTitle').textContent = `🧹 ${title}: ${entry.label}`;
+    document.getElementById('cleanupDiffList').innerHTML = renderCleanupDiff(entry.steps);
+    cleanupDiffPanelEl.classList.remove('is-hidden');
+  }
+
+  // Run a pipeline on the editor text as one undoable change
+  async function applyPipelineToText(pipeline) {
+    const text = inputEl.value || "";
+    const dialect = getActiveDialect(text);
+
+    let result;
+    applyCleanupsBtn.disabled = true;
+    try {
+      result = await csvWorker.run('applyCleanups', { text, dialect, pipeline }, showProgress);
+    } catch (err) {
+      alert("Failed to apply cleanups: " + (err && err.message ? err.message : String(err)));
+      return;
+    } finally {
+      applyCleanupsBtn.disabled = false;
+      hideProgress();
+    }
+    // Typing while the cleanups ran would be overwritten
+    if (!result || inputEl.value !== text) return;
+
+    const entry = { label: result.steps.map(step => step.label).join(', '), before: text, after: text, steps: result.steps };
+    if (result.text !== text) {
+      inputEl.value = result.text;
+      entry.after = inputEl.value;
+      pushCleanupHistory(entry);
+      // Normalizing rewrites the text as comma-separated
+      if (result.dialect.delimiter !== dialect.delimiter || result.dialect.quote !== dialect.quote) {
+        delimiterSelectEl.value = 'auto';
+        quoteSelectEl.value = 'auto';
+      }
+      performValidation();
+    }
+    showCleanupDiff('Applied', entry);
+  }
+
+  applyCleanupsBtn.addEventListener('click', () => {
+    const pipeline = getCleanupPipeline();
+    if (!pipeline.steps.some(entry => entry.enabled)) {
+      alert('Select the cleanups to apply first.');
+      return;
+    }
+    applyPipelineToText(pipeline);
+  });
+
+  // Duplicate report: the groups the "Remove duplicate rows" step would
+  // remove with its current options, refreshed while the panel is open
+  const duplicatePanelEl = document.getElementById('duplicatePanel');
+  const duplicateListEl = document.getElementById('duplicateList');
+  const toggleDuplicatesBtn = document.getElementById('toggleDuplicates');
+
+  function getDuplicateOptions() {
+    return getCleanupPipeline().steps.find(entry => entry.name === 'removeDuplicates').options;
+  }
+
+  async function refreshDuplicateReport() {
+    if (duplicatePanelEl.classList.contains('is-hidden')) return;
+    const text = inputEl.value || "";
+    let report;
+    try {
+      report = await csvWorker.run('findDuplicates', { text, dialect: getActiveDialect(text), options: getDuplicateOptions() });
+    } catch (err) {
+      duplicateListEl.innerHTML = `<p class="subtle">${escapeHTML(err && err.message ? err.message : String(err))}</p>`;
+      document.getElementById('removeDuplicatesBtn').disabled = true;
+      return;
+    }
+    if (!report || inputEl.value !== text) return;
+    duplicateListEl.innerHTML = renderDuplicateGroups(report);
+    document.getElementById('removeDuplicatesBtn').disabled = report.groupCount === 0;
+  }
+
+  toggleDuplicatesBtn.addEventListener('click', () => {
+    duplicatePanelEl.classList.toggle('is-hidden');
+    refreshDuplicateReport();
+  });
+  document.getElementById('closeDuplicates').addEventListener('click', () => duplicatePanelEl.classList.add('is-hidden'));
+  document.getElementById('removeDuplicatesBtn').addEventListener('click', () => {
+    applyPipelineToText({ steps: [{ name: 'removeDuplicates', enabled: true, options: getDuplicateOptions() }] });
+  });
+
+  // Undo and redo swap in the stored text; edits made since then are lost, so ask first
+  function stepCleanupHistory(from, to, expected, restored, title) {
+    const entry = cleanupHistory[from][cleanupHistory[from].length - 1];
+    if (!entry) return;
+    if (inputEl.value !== entry[expected] && !confirm(`The text was edited after "${entry.label}". ${title} anyway and lose those edits?`)) return;
+    cleanupHistory[from].pop();
+    cleanupHistory[to].push(entry);
+    inputEl.value = entry[restored];
+    syncHistoryButtons();
+    showCleanupDiff(title === 'Undo' ? 'Undone' : 'Redone', entry);
+    performValidation();
+  }
+
+  undoCleanupBtn.addEventListener('click', () => stepCleanupHistory('undo', 'redo', 'after', 'before', 'Undo'));
+  redoCleanupBtn.addEventListener('click', () => stepCleanupHistory('redo', 'undo', 'before', 'after', 'Redo'));
+  document.getElementById('closeCleanupDiff').addEventListener('click', () => cleanupDiffPanelEl.classList.add('is-hidden'));
+  syncHistoryButtons();
+
+  // Apply repairs as one undoable change
+  function applyRepairSelection(accepted, label) {
+    const before = inputEl.value;
+    inputEl.value = applyRepairs(pendingRepairs.text, accepted, pendingRepairs.dialect);
+    pendingRepairs = null;
+    repairPanelEl.classList.add('is-hidden');
+    if (inputEl.value !== before) pushCleanupHistory({ label, before, after: inputEl.value, steps: [] });
+    performValidation();
+  }
+
+  function updateRepairActions() {
+    // Repairs edit the editor text, which file mode doesn't have
+    const fixable = !fileModeFile && currentValidationResult &&
+      currentValidationResult.errors.some(err => REPAIRABLE_ERROR_TYPES.includes(err.type));
+    repairActionsEl.classList.toggle('is-hidden', !fixable);
+    if (!fixable) {
+      repairPanelEl.classList.add('is-hidden');
+    } else if (!repairPanelEl.classList.contains('is-hidden')) {
+      renderRepairList();
+    }
+  }
+
+  document.getElementById('fixAllBtn').addEventListener('click', async () => {
+    const computed = await computeRepairs();
+    if (!computed) return;
+    pendingRepairs = computed;
+    applyRepairSelection(pendingRepairs.repairs, 'Fix all');
+  });
+
+  document.getElementById('reviewFixesBtn').addEventListener('click', () => {
+    repairPanelEl.classList.remove('is-hidden');
+    renderRepairList();
+  });
+
+  [mismatchStrategyEl, mergeColumnEl].forEach(el => el.addEventListener('change', renderRepairList));
+
+  function setAllRepairChecks(checked) {
+    repairListEl.querySelectorAll('input[data-repair-index]').forEach(cb => { cb.checked = checked; });
+  }
+
+  document.getElementById('acceptAllFixes').addEventListener('click', () => setAllRepairChecks(true));
+  document.getElementById('rejectAllFixes').addEventListener('click', () => setAllRepairChecks(false));
+  document.getElementById('cancelFixes').addEventListener('click', () => {
+    pendingRepairs = null;
+    repairPanelEl.classList.add('is-hidden');
+  });
+  document.getElementById('applyFixes').addEventListener('click', () => {
+    if (!pendingRepairs) return;
+    const accepted = Array.from(repairListEl.querySelectorAll('input[data-repair-index]:checked'))
+      .map(cb => pendingRepairs.repairs[Number(cb.dataset.repairIndex)]);
+    applyRepairSelection(accepted, `Apply ${accepted.length} selected fix${accepted.length === 1 ? '' : 'es'}`);
+  });
+
+  // Schema: edited in the schema panel and sent along with every analysis
+  // while "Validate against this schema" is checked
+  const schemaPanelEl = document.getElementById('schemaPanel');
+  const schemaColumnsEl = document.getElementById('schemaColumns');
+  const schemaEnabledEl = document.getElementById('schemaEnabled');
+  const schemaFileInputEl = document.getElementById('schemaFileInput');
+  let currentSchema = { columns: [] };
+
+  function getActiveSchema() {
+    return schemaEnabledEl.checked && currentSchema.columns.length > 0 ? currentSchema : null;
+  }
+
+  function renderSchemaColumns() {
+    if (currentSchema.columns.length === 0) {
+      schemaColumnsEl.innerHTML = '<p class="subtle">No columns yet. Infer them from the data, add them one by one, or load a saved schema.</p>';
+      return;
+    }
+    const typeOptions = (selected) => SCHEMA_TYPES
+      .map(type => `<option value="${type}"${type === selected ? ' selected' : ''}>${type}</option>`)
+      .join('');
+    const rows = currentSchema.columns.map((column, index) => {
+      const input = (key, value, attrs = '') => `<input class="input-sm" data-schema-index="${index}" data-schema-key="${key}" value="${escapeHTML(String(value))}" ${attrs}/>`;
+      const check = (key) => `<input type="checkbox" data-schema-index="${index}" data-schema-key="${key}"${column[key] ? ' checked' : ''} />`;
+      // Dates take a format and enums their allowed values in the same cell
+      const detail = column.type === 'date'
+        ? input('format', column.format, 'placeholder="YYYY-MM-DD"')
+        : column.type === 'enum' ? input('values', column.values.join(', '), 'placeholder="a, b, c"') : '';
+      return `<tr>
+        <td>${input('name', column.name)}</td>
+        <td><select class="select-sm" data-schema-index="${index}" data-schema-key="type">${typeOptions(column.type)}</select></td>
+        <td>${detail}</td>
+        <td>${check('required')}</td>
+        <td>${check('unique')}</td>
+        <td>${input('min', column.min)}</td>
+        <td>${input('max', column.max)}</td>
+        <td>${input('pattern', column.pattern, 'placeholder="regex"')}</td>
+        <td><button class="btn xs" type="button" data-schema-remove="${index}" title="Remove column">✕</button></td>
+      </tr>`;
+    }).join('');
+    schemaColumnsEl.innerHTML = `<table class="schema-table">
+      <thead><tr><th>Column</th><th>Type</th><th>Format / values</th><th>Required</th><th>Unique</th><th>Min</th><th>Max</th><th>Pattern</th><th></th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+  }
+
+  function setSchema(schema) {
+    currentSchema = schema;
+    renderSchemaColumns();
+    performValidation();
+  }
+
+  document.getElementById('toggleProfile').addEventListener('click', (e) => {
+    const expanded = e.currentTarget.getAttribute('aria-expanded') !== 'false';
+    e.currentTarget.setAttribute('aria-expanded', String(!expanded));
+    e.currentTarget.textContent = expanded ? 'Show Profile' : 'Hide Profile';
+    document.getElementById('profilePanel').classList.toggle('is-hidden', expanded);
+  });
+
+  document.getElementById('toggleSchema').addEventListener('click', () => {
+    schemaPanelEl.classList.toggle('is-hidden');
+    renderSchemaColumns();
+  });
+
+  schemaEnabledEl.addEventListener('change', performValidation);
+
+  schemaColumnsEl.addEventListener('change', (e) => {
+    const el = e.target;
+    if (!el.dataset.schemaKey) return;
+    const column = currentSchema.columns[Number(el.dataset.schemaIndex)];
+    const key = el.dataset.schemaKey;
+    if (el.type === 'checkbox') {
+      column[key] = el.checked;
+    } else if (key === 'values') {
+      column.values = el.value.split(',').map(value => value.trim()).filter(Boolean);
+    } else if (key === 'pattern' && el.value) {
+      try {
+        new RegExp(el.value);
+      } catch (err) {
+        alert(`Invalid pattern: ${err.message}`);
+        el.value = column.pattern;
+        return;
+      }
+      column.pattern = el.value;
+    } else {
+      column[key] = key === 'name' ? el.value.trim() : el.value;
+    }
+    // The format / values cell depends on the type
+    if (key === 'type') renderSchemaColumns();
+    performValidation();
+  });
+
+  schemaColumnsEl.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-schema-remove]');
+    if (!button) return;
+    currentSchema.columns.splice(Number(button.dataset.schemaRemove), 1);
+    renderSchemaColumns();
+    performValidation();
+  });
+
+  document.getElementById('addSchemaColumnBtn').addEventListener('click', () => {
+    currentSchema.columns.push(createSchemaColumn(`Column ${currentSchema.columns.length + 1}`));
+    renderSchemaColumns();
+  });
+
+  document.getElementById('inferSchemaBtn').addEventListener('click', () => {
+    // File mode only has the sampled rows to go on
+    let rows;
+    let hasHeader;
+    if (fileModeFile) {
+      rows = currentValidationResult ? currentValidationResult.sampleRows : [];
+      hasHeader = !currentDialect || currentDialect.hasHeader !== false;
+    } else {
+      const text = inputEl.value || "";
+      const dialect = getActiveDialect(text);
+      rows = recordsToRows(parseCSV(text, dialect).records.filter(record => !record.unterminated));
+      hasHeader = dialect.hasHeader !== false;
+    }
+    if (rows.length === 0) {
+      alert('There is no data to infer a schema from.');
+      return;
+    }
+    schemaEnabledEl.checked = true;
+    setSchema(inferSchema(rows, hasHeader));
+  });
+
+  document.getElementById('saveSchemaBtn').addEventListener('click', () => {
+    downloadBlob(new Blob([serializeSchema(currentSchema)], { type: 'application/json' }), 'schema.json');
+  });
+
+  document.getElementById('loadSchemaBtn').addEventListener('click', () => schemaFileInputEl.click());
+
+  schemaFileInputEl.addEventListener('change', async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    try {
+      const schema = parseSchemaJSON(await file.text());
+      schemaEnabledEl.checked = true;
+      setSchema(schema);
+    } catch (err) {
+      alert("Failed to load schema: " + (err && err.message ? err.message : String(err)));
+    } finally {
+      e.target.value = "";
+    }
+  });
+
+  // Import: other table formats are converted to CSV on paste and upload, and
+  // tables can be extracted from pasted chat responses. The notice either
+  // offers a conversion or, after one, lets the user undo it or pick another
+  // of the tables found.
+  const importNoticeEl = document.getElementById('importNotice');
+  const importNoticeTextEl = document.getElementById('importNoticeText');
+  const importCandidateSelectEl = document.getElementById('importCandidateSelect');
+  const importActionBtn = document.getElementById('importActionBtn');
+  let importNoticeState = null;
+
+  function describeImport(imported) {
+    const notes = imported.notes.length ? ` (${imported.notes.join('; ')})` : '';
+    return `${imported.label} with ${imported.rows.toLocaleString()} rows × ${imported.columns} columns${notes}`;
+  }
+
+  // Extracted tables in the shape importTable returns
+  function toImported(candidate) {
+    return { ...candidate, notes: [], extracted: true };
+  }
+
+  function showImportNotice(state) {
+    importNoticeState = state;
+    if (state.mode === 'converted') {
+      importNoticeTextEl.textContent = state.imported.extracted
+        ? `Extracted ${describeImport(state.imported)} from the surrounding text.`
+        : `Converted ${describeImport(state.imported)} to CSV.`;
+      importActionBtn.textContent = 'Undo';
+    } else if (state.imported.extracted) {
+      importNoticeTextEl.textContent = state.candidates.length > 1
+        ? `Found ${state.candidates.length} tables in the surrounding text.`
+        : 'Found a table in the surrounding text.';
+      importActionBtn.textContent = 'Extract table';
+    } else {
+      importNoticeTextEl.textContent = `This looks like a ${state.imported.label}, not CSV.`;
+      importActionBtn.textContent = 'Convert to CSV';
+    }
+
+    const candidates = state.candidates || [];
+    importCandidateSelectEl.innerHTML = candidates
+      .map((candidate, index) => `<option value="${index}">${escapeHTML(candidate.label)} – ${candidate.rows} rows</option>`)
+      .join('');
+    importCandidateSelectEl.value = String(Math.max(0, candidates.findIndex(candidate => candidate.csv === state.imported.csv)));
+    importCandidateSelectEl.classList.toggle('is-hidden', candidates.length < 2);
+    importNoticeEl.classList.remove('is-hidden');
+  }
+
+  function hideImportNotice() {
+    importNoticeState = null;
+    importNoticeEl.classList.add('is-hidden');
+  }
+
+  // Replace the editor text (or the selection) with the converted CSV
+  function applyImport(imported, start = 0, end = inputEl.value.length, candidates = null) {
+    const original = inputEl.value;
+    inputEl.setRangeText(imported.csv, start, end, 'end');
+    showImportNotice({ mode: 'converted', imported, original, converted: inputEl.value, start, end, candidates });
+    performValidation();
+  }
+
+  importActionBtn.addEventListener('click', () => {
+    if (!importNoticeState) return;
+    if (importNoticeState.mode === 'converted') {
+      inputEl.value = importNoticeState.original;
+      hideImportNotice();
+      performValidation();
+    } else {
+      applyImport(importNoticeState.imported, 0, inputEl.value.length, importNoticeState.candidates);
+    }
+  });
+
+  // Switch to another of the tables found in the pasted response
+  importCandidateSelectEl.addEventListener('change', () => {
+    const state = importNoticeState;
+    if (!state || !state.candidates) return;
+    const imported = toImported(state.candidates[Number(importCandidateSelectEl.value)]);
+    if (state.mode === 'converted') {
+      inputEl.value = state.original;
+      applyImport(imported, state.start, state.end, state.candidates);
+    } else {
+      showImportNotice({ ...state, imported });
+    }
+  });
+
+  // Keep the notice in step with the text after each full validation. TSV is
+  // valid input as it is, so typed TSV isn't offered for conversion.
+  const OFFERED_IMPORT_FORMATS = ['html', 'json', 'ndjson', 'markdown'];
+
+  async function updateImportNotice(text, hasErrors) {
+    if (importNoticeState && importNoticeState.mode === 'converted' && importNoticeState.converted === text) return;
+    let found;
+    try {
+      // The worker's errors tell whether the text validates; if so there is nothing to extract
+      found = await csvWorker.run('findImport', { text, formats: OFFERED_IMPORT_FORMATS, extract: extractTablesEl.checked, hasErrors });
+    } catch (err) {
+      // The notice only offers a conversion; without it nothing is lost
+      return;
+    }
+    if (!found || inputEl.value !== text) return;
+    if (found.imported) {
+      showImportNotice({ mode: 'offer', imported: found.imported, candidates: found.candidates });
+    } else {
+      hideImportNotice();
+    }
+  }
+
+  extractTablesEl.addEventListener('change', () => {
+    if (fileModeFile) return;
+    const text = inputEl.value || "";
+    updateImportNotice(text, !!(currentValidationResult && currentValidationResult.errors.length));
+  });
+
+  // Validation state
+  let validationTimeout;
+  let immediateValidationTimeout;
+  let currentValidationResult = null;
+  let lastCursorPosition = 0;
+
+  // Parsing, validation, stats and cleanup run in a worker so large pastes
+  // don't block typing. Immediate validation stays on the main thread but is
+  // skipped for documents above IMMEDIATE_VALIDATION_MAX_CHARS.
+  const IMMEDIATE_VALIDATION_MAX_CHARS = 1000000;
+  const csvWorker = createCSVWorkerClient();
+  const analysisProgressEl = document.getElementById('analysisProgress');
+  const analysisProgressBarEl = document.getElementById('analysisProgressBar');
+  const analysisProgressLabelEl = document.getElementById('analysisProgressLabel');
+  let currentDialect = null;
+
+  function showProgress(progress) {
+    const percent = progress.total ? Math.round((progress.done / progress.total) * 100) : 0;
+    analysisProgressBarEl.value = percent;
+    analysisProgressLabelEl.textContent = progress.phase === 'parsing' ? `Parsing… ${percent}%` : `${progress.phase}…`;
+    analysisProgressEl.classList.remove('is-hidden');
+  }
+
+  function hideProgress() {
+    analysisProgressEl.classList.add('is-hidden');
+  }
+
+  function confirmUnmappable(count) {
+    return count === 0 || confirm(`${count} character(s) cannot be represented in Windows-1252 and will be replaced with "?". Download anyway?`);
+  }
+
+  function confirmProblems(count) {
+    return !count || confirm(`${count} cell(s) could not be read by the cleanups and are written unchanged. Download anyway?`);
+  }
+
+  // File mode: uploads of FILE_MODE_MIN_BYTES or more are never put in the
+  // editor. The worker streams the File itself for validation and download.
+  let fileModeFile = null;
+  // null until analyzeFile has detected it
+  let fileModeEncoding = null;
 
-  // Improve paste area UX: focus textarea on load
-  inputEl.focus();
+  function enterFileMode(file) {
+    // Keep the text typed since the last autosave; the editor is cleared below
+    if (!fileModeFile) getActiveDocument().text = inputEl.value;
+    fileModeFile = file;
+    fileModeEncoding = null;
+    upload = null;
+    clearCleanupHistory();
+    applyCleanupsBtn.disabled = true;
+    toggleDuplicatesBtn.disabled = true;
+    duplicatePanelEl.classList.add('is-hidden');
+    toggleColumnsBtn.disabled = true;
+    columnPanelEl.classList.add('is-hidden');
+    // The rules refer to the columns of the text they were made for
+    rowView.sort = [];
+    rowView.filters = [];
+    renderViewRules();
+    toggleCompareBtn.disabled = true;
+    comparePanelEl.classList.add('is-hidden');
+    viewInfoEl.classList.add('is-hidden');
+    inputEl.value = '';
+    updateLineNumbers('', []);
+    editorWrapperEl.classList.add('is-hidden');
+    gridViewEl.classList.add('is-hidden');
+    textViewBtn.disabled = true;
+    gridViewBtn.disabled = true;
+    fileModeNameEl.textContent = file.name;
+    fileModeSizeEl.textContent = formatFileSize(file.size);
+    fileModePanelEl.classList.remove('is-hidden');
+    analyzeFileMode();
+  }
 
-  // Get current line number from cursor position
-  function getCurrentLineNumber(text, cursorPosition) {
-    const textBeforeCursor = text.substring(0, cursorPosition);
-    return textBeforeCursor.split(/\r?\n/).length;
+  function exitFileMode() {
+    fileModeFile = null;
+    uploadEncodingEl.classList.add('is-hidden');
+    applyCleanupsBtn.disabled = false;
+    toggleDuplicatesBtn.disabled = false;
+    toggleColumnsBtn.disabled = false;
+    rowView.sort = [];
+    rowView.filters = [];
+    renderViewRules();
+    toggleCompareBtn.disabled = false;
+    currentValidationResult = null;
+    fileModePanelEl.classList.add('is-hidden');
+    textViewBtn.disabled = false;
+    gridViewBtn.disabled = false;
+    previewTitleEl.textContent = `📋 Data Preview (first ${PREVIEW_ROWS} rows)`;
+    setView('text');
   }
 
-  // Validate a specific line and return error if found
-  function validateSingleLine(lineText, lineNumber, expectedColumnCount) {
-    if (!lineText.trim()) return null;
-    
+  async function analyzeFileMode() {
+    const file = fileModeFile;
+    let result;
     try {
-      const parsedValues = parseCSVLine(lineText);
-      
-      // Check for column count mismatch
-      if (expectedColumnCount !== null && parsedValues.length !== expectedColumnCount) {
-        return {
-          line: lineNumber,
-          content: lineText,
-          error: `Column count mismatch: expected ${expectedColumnCount}, got ${parsedValues.length}`,
-          type: 'column_mismatch',
-          expectedCount: expectedColumnCount,
-          actualCount: parsedValues.length
-        };
-      }
-      
-      return null; // No error
-    } catch (error) {
-      // Check for unmatched quotes
-      let quoteCount = 0;
-      for (let char of lineText) {
-        if (char === '"') quoteCount++;
-      }
-      
-      if (quoteCount % 2 !== 0) {
-        return {
-          line: lineNumber,
-          content: lineText,
-          error: 'Unmatched quotes detected',
-          type: 'unmatched_quotes'
-        };
-      } else {
-        return {
-          line: lineNumber,
-          content: lineText,
-          error: 'Invalid CSV format',
-          type: 'invalid_format'
-        };
-      }
+      result = await csvWorker.run('analyzeFile', {
+        file,
+        overrides: getDialectOverrides(),
+        schema: getActiveSchema(),
+        inputEncoding: fileModeEncoding
+      }, showProgress);
+    } catch (err) {
+      hideProgress();
+      alert("Failed to read file: " + (err && err.message ? err.message : String(err)));
+      return;
+    }
+    if (!result || file !== fileModeFile) return;
+    hideProgress();
+
+    if (!fileModeEncoding) showUploadEncoding(result.encoding);
+    fileModeEncoding = result.encoding.encoding;
+    currentDialect = result.dialect;
+    currentValidationResult = result;
+    updateCSVStats(result.stats, result.dialect, isDialectAuto());
+    // The sample is all there is to look at, so show it right away
+    if (result.sampleRows.length) {
+      previewTitleEl.textContent = `📋 Data Preview (first ${result.sampleRows.length} of ${result.stats.rows.toLocaleString()} rows)`;
+      document.getElementById('previewTable').innerHTML = renderPreviewRows(result.sampleRows, result.dialect.hasHeader !== false);
+      csvPreviewEl.classList.remove('is-hidden');
+      togglePreviewBtn.textContent = 'Hide Preview';
+    }
+    highlightErrorLines('', result.errors, false, result.isNotCSV, result.errorCount);
+    updateRepairActions();
+    renderViewRules();
+  }
+
+  async function downloadFileMode(name) {
+    const dialect = currentDialect || DEFAULT_DIALECT;
+    const outputDialect = getOutputDialect(isStepEnabled('normalize') ? DEFAULT_DIALECT : dialect);
+
+    let cleaned;
+    btn.disabled = true;
+    try {
+      cleaned = await csvWorker.run('cleanFile', {
+        file: fileModeFile,
+        dialect,
+        outputDialect,
+        exportFormat: getExportFormat(),
+        exportOptions: getExportOptions(),
+        addBom: addBomEl.checked && EXPORT_FORMATS[getExportFormat()].allowsBom,
+        pipeline: getCleanupPipeline(),
+        inputEncoding: fileModeEncoding,
+        view: viewOnDownloadEl.checked ? rowView : null
+      }, showProgress);
+    } catch (err) {
+      alert("Failed to prepare download: " + (err && err.message ? err.message : String(err)));
+      return;
+    } finally {
+      btn.disabled = false;
+      hideProgress();
     }
+    if (!cleaned || !confirmProblems(cleaned.problems) || !confirmUnmappable(cleaned.unmappable)) return;
+
+    downloadBlob(cleaned.blob, name);
   }
 
-  // Immediate validation for current line being edited
+  document.getElementById('closeFileModeBtn').addEventListener('click', () => {
+    exitFileMode();
+    // Back to the tab's text from before the file was opened
+    const doc = getActiveDocument();
+    inputEl.value = doc.text;
+    filenameEl.value = doc.filename;
+    performValidation();
+  });
+
+  // Improve paste area UX: focus textarea on load
+  inputEl.focus();
+
+  // Immediate validation for the record under the cursor
   function performImmediateValidation() {
     const text = inputEl.value || "";
     const cursorPosition = inputEl.selectionStart;
@@ -699,53 +1705,46 @@ document.addEventListener('DOMContentLoaded', function() {
     if (!text.trim()) {
       document.getElementById('validationMessage').style.display = 'none';
       document.getElementById('downloadBtn').disabled = false;
-      document.getElementById('lineNumbers').innerHTML = '';
-      updateCSVStats('');
+      updateLineNumbers('', []);
+      updateCSVStats(null);
       currentValidationResult = null;
       return;
     }
 
-    const lines = text.split(/\r?\n/);
-    const currentLineNum = getCurrentLineNumber(text, cursorPosition);
-    const currentLineText = lines[currentLineNum - 1] || '';
+    // Large documents are only validated by the worker
+    if (text.length > IMMEDIATE_VALIDATION_MAX_CHARS) return;
+
+    const { records } = parseCSV(text, currentDialect || getActiveDialect(text));
+    const currentRecord = findRecordAtOffset(records, cursorPosition);
     
-    // Get expected column count from first non-empty line
-    let expectedColumnCount = null;
-    for (let i = 0; i < lines.length; i++) {
-      if (lines[i].trim()) {
-        try {
-          const parsedValues = parseCSVLine(lines[i]);
-          expectedColumnCount = parsedValues.length;
-          break;
-        } catch {
-          // Continue to next line if parsing fails
-        }
-      }
-    }
+    // Get expected column count from first non-empty record
+    const headerRecord = records.find(record => !record.isEmpty && !record.unterminated);
+    const expectedColumnCount = headerRecord ? headerRecord.fields.length : null;
 
-    // Validate current line immediately
-    const currentLineError = validateSingleLine(currentLineText, currentLineNum, expectedColumnCount);
+    // Validate current record immediately
+    const currentRecordError = currentRecord ? validateRecord(text, currentRecord, expectedColumnCount) : null;
+    const currentLineNum = currentRecord ? currentRecord.line : 1;
     
     // Update existing validation result or create new one
     if (!currentValidationResult) {
-      currentValidationResult = { errors: [], expectedColumnCount, headerLine: 1 };
+      currentValidationResult = { errors: [], expectedColumnCount, headerLine: headerRecord ? headerRecord.line : 1 };
     }
     
-    // Remove any existing errors for current line
+    // Remove any existing errors for current record
     currentValidationResult.errors = currentValidationResult.errors.filter(err => err.line !== currentLineNum);
     
     // Add new error if found
-    if (currentLineError) {
-      currentValidationResult.errors.push(currentLineError);
+    if (currentRecordError) {
+      currentValidationResult.errors.push(currentRecordError);
     }
     
     // Update line numbers with current errors and immediate highlighting
     updateLineNumbers(text, currentValidationResult.errors, currentLineNum);
     
     // Update validation message for immediate feedback
-    if (currentLineError) {
+    if (currentRecordError) {
       const validationMsg = document.getElementById('validationMessage');
-      validationMsg.innerHTML = `Line ${currentLineError.line}: ${currentLineError.error}`;
+      validationMsg.innerHTML = `Line ${currentRecordError.line}: ${currentRecordError.error}`;
       validationMsg.className = 'validation-message immediate';
       validationMsg.style.display = 'block';
       document.getElementById('downloadBtn').disabled = true;
@@ -758,25 +1757,51 @@ document.addEventListener('DOMContentLoaded', function() {
   }
 
   // Full validation with debouncing (for complete document validation)
-  function performFullValidation() {
+  async function performFullValidation() {
+    if (fileModeFile) {
+      analyzeFileMode();
+      return;
+    }
     const text = inputEl.value || "";
     if (!text.trim()) {
+      csvWorker.run('analyze', { text: '' });
+      hideProgress();
+      syncGridFromText(text, DEFAULT_DIALECT);
       document.getElementById('validationMessage').style.display = 'none';
       document.getElementById('downloadBtn').disabled = false;
-      document.getElementById('lineNumbers').innerHTML = '';
-      updateCSVStats('');
+      updateLineNumbers('', []);
+      updateCSVStats(null);
+      currentDialect = null;
       currentValidationResult = null;
+      updateRepairActions();
+      hideImportNotice();
       return;
     }
     
-    updateCSVStats(text);
-    currentValidationResult = validateAndFixCSV(text);
-    highlightErrorLines(text, currentValidationResult.errors, false, currentValidationResult.isNotCSV);
-    
-    // Always update line numbers, even when there are no errors
-    if (currentValidationResult.errors.length === 0) {
-      updateLineNumbers(text, []);
+    let result;
+    try {
+      result = await csvWorker.run('analyze', { text, overrides: getDialectOverrides(), schema: getActiveSchema() }, showProgress);
+    } catch (err) {
+      hideProgress();
+      alert("Failed to analyze CSV: " + (err && err.message ? err.message : String(err)));
+      return;
     }
+    // Replaced by a newer analysis, or the text changed while this one ran
+    if (!result || inputEl.value !== text) return;
+    hideProgress();
+    
+    const dialect = result.dialect;
+    currentDialect = dialect;
+    updateCSVStats(result.stats, dialect, isDialectAuto());
+    refreshPreview(text, dialect);
+    syncGridFromText(text, dialect);
+    currentValidationResult = result;
+    highlightErrorLines(text, currentValidationResult.errors, false, currentValidationResult.isNotCSV);
+    updateRepairActions();
+    updateImportNotice(text, currentValidationResult.errors.length > 0);
+    refreshDuplicateReport();
+    renderColumnList();
+    renderViewRules();
   }
 
   // Legacy function name for compatibility
@@ -816,20 +1841,52 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   });
 
-  // Add validation on paste
-  inputEl.addEventListener('paste', () => {
+  // Add validation on paste. Tables in other formats are converted as they
+  // come in; copied web pages and spreadsheets also put an HTML table on the
+  // clipboard, which keeps merged cells and line breaks better than plain text.
+  // The plain text is pasted as usual, so Undo goes back to exactly what was
+  // pasted; the worker then looks for a table in it to convert
+  inputEl.addEventListener('paste', async (e) => {
+    const clipboard = e.clipboardData;
+    const html = clipboard ? clipboard.getData('text/html') : '';
+    const plain = clipboard ? clipboard.getData('text/plain') : '';
+    const source = html && /<table[\s>]/i.test(html) ? html : plain;
+    const start = inputEl.selectionStart;
     setTimeout(performValidation, 100);
+    if (!source.trim()) return;
+
+    let found;
+    try {
+      found = await csvWorker.run('findImport', { text: source, extract: extractTablesEl.checked });
+    } catch (err) {
+      return;
+    }
+    // Typing since the paste may have changed the pasted text
+    if (!found || !found.imported || inputEl.value.slice(start, start + plain.length) !== plain) return;
+    applyImport(found.imported, start, start + plain.length, found.candidates);
+  });
+
+  // Re-parse with the chosen dialect when the override changes
+  [delimiterSelectEl, quoteSelectEl, headerSelectEl].forEach(selectEl => {
+    selectEl.addEventListener('change', performValidation);
   });
 
-  // Sync scroll between textarea and line numbers
+  // Sync scroll between textarea and line numbers; the gutter only renders
+  // the visible lines, so re-render once per frame while scrolling
+  let lineNumbersFrame = null;
   inputEl.addEventListener('scroll', () => {
-    const lineNumbersEl = document.getElementById('lineNumbers');
-    lineNumbersEl.scrollTop = inputEl.scrollTop;
+    document.getElementById('lineNumbers').scrollTop = inputEl.scrollTop;
+    if (lineNumbersFrame) return;
+    lineNumbersFrame = requestAnimationFrame(() => {
+      lineNumbersFrame = null;
+      renderLineNumbers();
+    });
   });
 
-  btn.addEventListener("click", () => {
-    let text = inputEl.value || "";
-    const name = ensureCsvExtension(filenameEl.value);
+  btn.addEventListener("click", async () => {
+    const text = inputEl.value || "";
+    const format = getExportFormat();
+    const name = ensureExtension(filenameEl.value, EXPORT_FORMATS[format].extension);
     
     // Only proceed if no validation errors
     if (currentValidationResult && currentValidationResult.errors.length > 0) {
@@ -837,62 +1894,793 @@ document.addEventListener('DOMContentLoaded', function() {
       return;
     }
     
-    // Apply AI cleanup options
-    if (fixSmartQuotesEl.checked && text.length) {
-      text = fixSmartQuotes(text);
+    if (fileModeFile) {
+      downloadFileMode(name);
+      return;
     }
     
-    if (trimWhitespaceEl.checked && text.length) {
-      text = trimFieldWhitespace(text);
-    }
+    const dialect = getActiveDialect(text);
+    // Normalizing turns the text comma-separated before it is written out
+    const outputDialect = getOutputDialect(isStepEnabled('normalize') ? DEFAULT_DIALECT : dialect);
     
-    if (removeEmptyRowsEl.checked && text.length) {
-      text = removeEmptyRows(text);
+    // Apply AI cleanup options and serialize in the worker
+    let cleaned;
+    btn.disabled = true;
+    try {
+      cleaned = await csvWorker.run('clean', {
+        text,
+        dialect,
+        outputDialect,
+        exportFormat: format,
+        exportOptions: getExportOptions(),
+        pipeline: getCleanupPipeline(),
+        view: viewOnDownloadEl.checked ? rowView : null
+      }, showProgress);
+    } catch (err) {
+      alert("Failed to prepare download: " + (err && err.message ? err.message : String(err)));
+      return;
+    } finally {
+      btn.disabled = false;
+      hideProgress();
     }
+    if (!cleaned || !confirmProblems(cleaned.problems) || !confirmUnmappable(cleaned.unmappable)) return;
     
-    if (removeDuplicatesEl.checked && text.length) {
-      text = removeDuplicateRows(text);
+    const { allowsBom, mimeType } = EXPORT_FORMATS[format];
+    const blob = makeBlobFromText(cleaned.text, addBomEl.checked && allowsBom, outputDialect.encoding, mimeType);
+    downloadBlob(blob, name);
+  });
+
+  // Upload encoding: detected from the file's bytes. Picking another one
+  // previews the file decoded with it before it replaces the editor text;
+  // in file mode the file is simply analyzed again.
+  let upload = null; // { bytes, encoding, text } of the file in the editor
+  encodingSelectEl.innerHTML = Object.keys(INPUT_ENCODINGS)
+    .map(encoding => `<option value="${encoding}">${escapeHTML(INPUT_ENCODINGS[encoding])}</option>`)
+    .join('');
+
+  function showUploadEncoding(detected) {
+    encodingSelectEl.value = detected.encoding;
+    encodingInfoEl.textContent = `Detected (${detected.reason})`;
+    uploadEncodingEl.classList.remove('is-hidden');
+    encodingPreviewEl.classList.add('is-hidden');
+  }
+
+  // Show an uploaded file's text, converting other table formats to CSV
+  async function loadUploadedText(text) {
+    // Show raw text to user; do not normalize automatically
+    inputEl.value = text;
+    // Move caret to start for visibility
+    inputEl.scrollTop = 0;
+    // Validate the uploaded content
+    performValidation();
+    // ...unless it is a table in another format, which is converted to CSV
+    let found;
+    try {
+      found = await csvWorker.run('findImport', { text });
+    } catch (err) {
+      return;
     }
-    
-    if (normalizeEl.checked && text.length) {
-      text = normalizeTextDelimiters(text);
+    if (found && found.imported && inputEl.value === text) applyImport(found.imported);
+  }
+
+  encodingSelectEl.addEventListener('change', () => {
+    const encoding = encodingSelectEl.value;
+    if (fileModeFile) {
+      fileModeEncoding = encoding;
+      analyzeFileMode();
+      return;
     }
-    
-    // Always use CRLF line endings for widest CSV compatibility
-    text = text.replace(/\r?\n/g, "\r\n");
-    const blob = makeBlobFromText(text, addBomEl.checked);
-    downloadBlob(blob, name);
+    if (!upload) return;
+    const text = decodeBytes(upload.bytes, encoding);
+    const lines = text.split(/\r\n|\r|\n/);
+    const undecodable = (text.match(/\uFFFD/g) || []).length;
+    document.getElementById('encodingPreviewText').textContent = lines.slice(0, ENCODING_PREVIEW_LINES).join('\n');
+    document.getElementById('encodingPreviewInfo').textContent = undecodable
+      ? `${undecodable.toLocaleString()} characters could not be decoded (shown as \uFFFD)`
+      : `First ${Math.min(lines.length, ENCODING_PREVIEW_LINES)} of ${lines.length.toLocaleString()} lines`;
+    encodingPreviewEl.classList.toggle('is-hidden', encoding === upload.encoding);
   });
 
-  // CSV upload → show as text
-  fileInputEl.addEventListener("change", async (e) => {
+  document.getElementById('applyEncodingBtn').addEventListener('click', async () => {
+    if (inputEl.value !== upload.text && !confirm('The text was edited after the upload. Decode the file again anyway and lose those edits?')) return;
+    const current = upload;
+    current.encoding = encodingSelectEl.value;
+    encodingPreviewEl.classList.add('is-hidden');
+    await loadUploadedText(decodeBytes(current.bytes, current.encoding));
+    current.text = inputEl.value;
+  });
+
+  document.getElementById('cancelEncodingBtn').addEventListener('click', () => {
+    encodingSelectEl.value = upload.encoding;
+    encodingPreviewEl.classList.add('is-hidden');
+  });
+
+  // Column operations: the columns of the editor text as draggable chips
+  // with rename and delete, plus split, merge and derive forms. Every
+  // operation rewrites the text in the worker and can be undone.
+  const columnPanelEl = document.getElementById('columnPanel');
+  const columnListEl = document.getElementById('columnList');
+  const toggleColumnsBtn = document.getElementById('toggleColumns');
+  const splitColumnEl = document.getElementById('splitColumn');
+  let draggedColumn = null;
+
+  // Header names of the editor text, or "Column 1", "Column 2"... without one
+  function getColumnNames() {
+    const text = inputEl.value || "";
+    const dialect = getActiveDialect(text);
+    const first = parseLeadingRecords(text, 1, dialect)[0];
+    const hasHeader = dialect.hasHeader !== false;
+    return {
+      names: first ? first.fields.map((field, index) => hasHeader ? field.value : `Column ${index + 1}`) : [],
+      hasHeader
+    };
+  }
+
+  function renderColumnList() {
+    if (columnPanelEl.classList.contains('is-hidden')) return;
+    const { names, hasHeader } = getColumnNames();
+    columnListEl.innerHTML = names.length ? names.map((name, index) => `<li class="column-chip" draggable="true" data-column="${index}">
+        <input type="checkbox" data-column-check="${index}" title="Select to merge" />
+        <span class="column-handle" aria-hidden="true">⠿</span>
+        <input class="input-sm" data-column-name="${index}" value="${escapeHTML(name)}" title="Rename"${hasHeader ? '' : ' disabled'} />
+        <button class="btn xs" type="button" data-column-delete="${index}" title="Delete column">✕</button>
+      </li>`).join('') : '<li class="subtle">No columns yet.</li>';
+    splitColumnEl.innerHTML = names
+      .map((name, index) => `<option value="${index}">${escapeHTML(name || `Column ${index + 1}`)}</option>`)
+      .join('');
+  }
+
+  async function runColumnOperation(operation, label) {
+    const text = inputEl.value || "";
+    let result;
+    try {
+      result = await csvWorker.run('editColumns', { text, dialect: getActiveDialect(text), operation }, showProgress);
+    } catch (err) {
+      alert("Failed to edit columns: " + (err && err.message ? err.message : String(err)));
+      return;
+    } finally {
+      hideProgress();
+    }
+    if (!result || inputEl.value !== text || result.text === text) return;
+    inputEl.value = result.text;
+    pushCleanupHistory({ label, before: text, after: inputEl.value, steps: [{ name: operation.type, label, diff: result.diff }] });
+    performValidation();
+  }
+
+  toggleColumnsBtn.addEventListener('click', () => {
+    columnPanelEl.classList.toggle('is-hidden');
+    renderColumnList();
+  });
+  document.getElementById('closeColumns').addEventListener('click', () => columnPanelEl.classList.add('is-hidden'));
+
+  columnListEl.addEventListener('change', (e) => {
+    const index = e.target.dataset.columnName;
+    if (index === undefined) return;
+    runColumnOperation({ type: 'rename', column: Number(index), name: e.target.value.trim() }, `Rename column to "${e.target.value.trim()}"`);
+  });
+
+  columnListEl.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-column-delete]');
+    if (!button) return;
+    const index = Number(button.dataset.columnDelete);
+    runColumnOperation({ type: 'delete', columns: [index] }, `Delete column ${index + 1}`);
+  });
+
+  columnListEl.addEventListener('dragstart', (e) => {
+    const chip = e.target.closest('[data-column]');
+    if (!chip) return;
+    draggedColumn = Number(chip.dataset.column);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(draggedColumn));
+  });
+
+  columnListEl.addEventListener('dragover', (e) => {
+    if (draggedColumn === null || !e.target.closest('[data-column]')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+  });
+
+  columnListEl.addEventListener('drop', (e) => {
+    const chip = e.target.closest('[data-column]');
+    if (draggedColumn === null || !chip) return;
+    e.preventDefault();
+    const from = draggedColumn;
+    const to = Number(chip.dataset.column);
+    draggedColumn = null;
+    if (from === to) return;
+    const order = Array.from(columnListEl.querySelectorAll('[data-column]'), (item, index) => index);
+    order.splice(to, 0, ...order.splice(from, 1));
+    runColumnOperation({ type: 'reorder', order }, `Move column ${from + 1} to position ${to + 1}`);
+  });
+
+  columnListEl.addEventListener('dragend', () => {
+    draggedColumn = null;
+  });
+
+  document.getElementById('splitColumnBtn').addEventListener('click', () => {
+    const column = Number(splitColumnEl.value);
+    runColumnOperation({
+      type: 'split',
+      column,
+      separator: document.getElementById('splitSeparator').value,
+      regex: document.getElementById('splitRegex').checked,
+      names: document.getElementById('splitNames').value
+    }, `Split column ${column + 1}`);
+  });
+
+  document.getElementById('mergeColumnsBtn').addEventListener('click', () => {
+    const columns = Array.from(columnListEl.querySelectorAll('[data-column-check]:checked'), cb => Number(cb.dataset.columnCheck));
+    runColumnOperation({
+      type: 'merge',
+      columns,
+      separator: document.getElementById('mergeSeparator').value,
+      name: document.getElementById('mergeName').value.trim()
+    }, `Merge columns ${columns.map(index => index + 1).join(', ')}`);
+  });
+
+  document.getElementById('deriveColumnBtn').addEventListener('click', () => {
+    const name = document.getElementById('deriveName').value.trim();
+    runColumnOperation({
+      type: 'derive',
+      template: document.getElementById('deriveTemplate').value,
+      name
+    }, `Add column ${name || 'derived'}`);
+  });
+
+  // Sort keys and filters are edited in place; every change re-runs the view
+  const sortListEl = document.getElementById('sortList');
+  const filterListEl = document.getElementById('filterList');
+  let viewTimeout = null;
+
+  function renderRuleOptions(choices, selected) {
+    return Object.entries(choices)
+      .map(([value, label]) => `<option value="${escapeHTML(String(value))}"${String(value) === String(selected) ? ' selected' : ''}>${escapeHTML(label)}</option>`)
+      .join('');
+  }
+
+  // Columns the rules refer to: the editor text's, or in file mode those of
+  // the sample read from the file
+  function getViewColumnNames() {
+    if (!fileModeFile) return getColumnNames().names;
+    const sample = currentValidationResult && currentValidationResult.sampleRows ? currentValidationResult.sampleRows : [];
+    const header = currentDialect && currentDialect.hasHeader !== false && sample.length ? sample[0] : [];
+    return Array.from({ length: getMaxColumnCount(sample) }, (_, index) => header[index] || '');
+  }
+
+  function renderViewRules() {
+    if (viewPanelEl.classList.contains('is-hidden')) return;
+    // Files in file mode are streamed, so they can be filtered but not sorted
+    viewPanelEl.classList.toggle('is-file-mode', !!fileModeFile);
+    const columns = Object.assign({}, getViewColumnNames().map((name, index) => name || `Column ${index + 1}`));
+    sortListEl.innerHTML = rowView.sort.map((key, index) => `<li class="view-rule" data-rule="${index}">
+        <select class="select-sm" data-field="column" aria-label="Sort column">${renderRuleOptions(columns, key.column)}</select>
+        <select class="select-sm" data-field="type" aria-label="Compare as">${renderRuleOptions(SORT_TYPES, key.type)}</select>
+        <select class="select-sm" data-field="direction" aria-label="Direction">${renderRuleOptions({ asc: 'Ascending', desc: 'Descending' }, key.direction)}</select>
+        <button class="btn xs" type="button" data-remove-rule title="Remove">✕</button>
+      </li>`).join('');
+    filterListEl.innerHTML = rowView.filters.map((filter, index) => `<li class="view-rule" data-rule="${index}">
+        <select class="select-sm" data-field="column" aria-label="Filter column">${renderRuleOptions(columns, filter.column)}</select>
+        <select class="select-sm" data-field="op" aria-label="Condition">${renderRuleOptions(FILTER_OPERATORS, filter.op)}</select>
+        ${filter.op === 'between'
+          ? `<input class="input-sm" data-field="min" value="${escapeHTML(filter.min)}" placeholder="Min" />
+        <input class="input-sm" data-field="max" value="${escapeHTML(filter.max)}" placeholder="Max" />`
+          : filter.op === 'empty' || filter.op === 'notEmpty' ? ''
+          : `<input class="input-sm" data-field="value" value="${escapeHTML(filter.value)}" placeholder="Value" />`}
+        <button class="btn xs" type="button" data-remove-rule title="Remove">✕</button>
+      </li>`).join('');
+  }
+
+  function updateRowView(delay = 0) {
+    clearTimeout(viewTimeout);
+    viewTimeout = setTimeout(() => {
+      // File mode previews the sample as it is; the view only applies to the download
+      if (fileModeFile) return;
+      const text = inputEl.value || "";
+      refreshPreview(text, getActiveDialect(text));
+    }, delay);
+  }
+
+  function bindRuleList(listEl, rules) {
+    const update = (e, delay) => {
+      const field = e.target.dataset.field;
+      const item = e.target.closest('[data-rule]');
+      if (!field || !item) return;
+      const rule = rules()[Number(item.dataset.rule)];
+      rule[field] = field === 'column' ? Number(e.target.value) : e.target.value;
+      // The condition decides which inputs the filter needs
+      if (field === 'op') renderViewRules();
+      updateRowView(delay);
+    };
+    listEl.addEventListener('change', e => update(e, 0));
+    listEl.addEventListener('input', e => {
+      if (e.target.tagName === 'INPUT') update(e, 300);
+    });
+    listEl.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-remove-rule]') && e.target.closest('[data-rule]');
+      if (!item) return;
+      rules().splice(Number(item.dataset.rule), 1);
+      renderViewRules();
+      updateRowView();
+    });
+  }
+
+  bindRuleList(sortListEl, () => rowView.sort);
+  bindRuleList(filterListEl, () => rowView.filters);
+
+  document.getElementById('addSortKey').addEventListener('click', () => {
+    rowView.sort.push({ column: 0, type: 'text', direction: 'asc' });
+    renderViewRules();
+    updateRowView();
+  });
+  document.getElementById('addFilter').addEventListener('click', () => {
+    rowView.filters.push({ column: 0, op: 'contains', value: '', min: '', max: '' });
+    renderViewRules();
+    updateRowView();
+  });
+  document.getElementById('clearView').addEventListener('click', () => {
+    rowView.sort = [];
+    rowView.filters = [];
+    renderViewRules();
+    updateRowView();
+  });
+  toggleViewBtn.addEventListener('click', () => {
+    viewPanelEl.classList.toggle('is-hidden');
+    renderViewRules();
+  });
+  document.getElementById('closeView').addEventListener('click', () => viewPanelEl.classList.add('is-hidden'));
+
+  // Compare: the editor text against another version of the table, pasted
+  // or loaded into the panel. Rows are paired by key columns or position and
+  // the changes shown as a preview table, with the changed cells marked.
+  const comparePanelEl = document.getElementById('comparePanel');
+  const toggleCompareBtn = document.getElementById('toggleCompare');
+  const compareInputEl = document.getElementById('compareInput');
+  const compareFileInputEl = document.getElementById('compareFileInput');
+  const compareSummaryEl = document.getElementById('compareSummary');
+  const compareTableEl = document.getElementById('compareTable');
+  const downloadCompareBtn = document.getElementById('downloadCompareBtn');
+  let comparison = null; // { result, dialect } of the last comparison
+
+  function renderComparison(result) {
+    const { counts } = result;
+    const parts = [`${counts.added} added`, `${counts.removed} removed`, `${counts.modified} modified`, `${counts.unchanged} unchanged`];
+    let summary = `Rows: ${parts.join(', ')}.`;
+    if (result.addedColumns.length) summary += ` New columns: ${result.addedColumns.join(', ')}.`;
+    if (result.removedColumns.length) summary += ` Dropped columns: ${result.removedColumns.join(', ')}.`;
+    if (result.rows.length > COMPARE_PREVIEW_ROWS) summary += ` Showing the first ${COMPARE_PREVIEW_ROWS} of ${result.rows.length} rows; the download has all of them.`;
+    compareSummaryEl.textContent = summary;
+
+    const shown = result.rows.slice(0, COMPARE_PREVIEW_ROWS);
+    const marks = shown.map(row => ({
+      className: `compare-${row.change}`,
+      // Column 0 is the change, so the cells are one column to the right
+      cells: Object.fromEntries((row.changed || []).map(index => [index + 1, {
+        className: 'compare-changed',
+        title: `Was: ${row.before[index]}\nNow: ${row.values[index]}`
+      }]))
+    }));
+    compareTableEl.innerHTML = shown.length
+      ? renderPreviewRows([['Change', ...result.header], ...shown.map(row => [row.change, ...row.values])], true, marks)
+      : '<p class="subtle">No differences.</p>';
+  }
+
+  async function runComparison() {
+    const after = inputEl.value || "";
+    const before = compareInputEl.value || "";
+    if (!before.trim()) {
+      alert("Paste or load the CSV to compare with first.");
+      return;
+    }
+    const dialect = getActiveDialect(after);
+    let result;
+    try {
+      result = await csvWorker.run('compare', {
+        before,
+        after,
+        beforeDialect: sniffDialect(before, getHeaderOverrides()),
+        afterDialect: dialect,
+        options: {
+          keyColumns: document.getElementById('compareKeys').value,
+          includeUnchanged: document.getElementById('compareUnchanged').checked
+        }
+      }, showProgress);
+    } catch (err) {
+      alert("Failed to compare: " + (err && err.message ? err.message : String(err)));
+      return;
+    } finally {
+      hideProgress();
+    }
+    if (!result) return;
+    comparison = { result, dialect };
+    downloadCompareBtn.disabled = false;
+    renderComparison(result);
+  }
+
+  toggleCompareBtn.addEventListener('click', () => comparePanelEl.classList.toggle('is-hidden'));
+  document.getElementById('closeCompare').addEventListener('click', () => comparePanelEl.classList.add('is-hidden'));
+  document.getElementById('compareBtn').addEventListener('click', runComparison);
+  document.getElementById('loadCompareBtn').addEventListener('click', () => compareFileInputEl.click());
+
+  compareFileInputEl.addEventListener('change', async (e) => {
     const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    try {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      compareInputEl.value = decodeBytes(bytes, detectEncoding(bytes).encoding);
+    } catch (err) {
+      alert("Failed to read file: " + (err && err.message ? err.message : String(err)));
+      return;
+    } finally {
+      e.target.value = "";
+    }
+    runComparison();
+  });
+
+  downloadCompareBtn.addEventListener('click', () => {
+    if (!comparison) return;
+    const outputDialect = getOutputDialect(comparison.dialect);
+    const text = formatComparison(comparison.result, outputDialect, outputDialect.lineEnding);
+    if (!confirmUnmappable(countUnmappableChars(text, outputDialect.encoding))) return;
+    const name = ensureExtension((filenameEl.value.trim().replace(/\.[^.]*$/, '') || 'export') + '-diff', 'csv');
+    downloadBlob(makeBlobFromText(text, addBomEl.checked, outputDialect.encoding), name);
+  });
+
+  // Combining: files uploaded or dropped together are appended into one
+  // table in the worker, their columns matched by header name. The panel
+  // lists the files, flags those whose columns differ from the first file's
+  // and combines them again when the options change.
+  const combinePanelEl = document.getElementById('combinePanel');
+  const combineListEl = document.getElementById('combineList');
+  const combineColumnsEl = document.getElementById('combineColumns');
+  const combineSourceEl = document.getElementById('combineSource');
+  const combineSourceNameEl = document.getElementById('combineSourceName');
+  let combined = null; // { tables, text } of the files in the editor
+
+  function renderCombinedFiles(result) {
+    const mismatched = result.files.filter(file => !file.matches).length;
+    let html = `<p class="hint subtle">${result.rowCount.toLocaleString()} rows from ${result.files.length} files`
+      + (mismatched ? `; ${mismatched} with other columns than ${escapeHTML(result.files[0].name)}.</p>` : '.</p>');
+    html += result.files.map(file => {
+      const notes = [];
+      if (!file.hasHeader && result.header) notes.push('no header row, appended by position');
+      if (file.missing.length) notes.push(`missing ${file.missing.join(', ')}`);
+      if (file.extra.length) notes.push(`extra ${file.extra.join(', ')}`);
+      return `<div class="repair-item${file.matches ? '' : ' combine-mismatch'}">
+        ${file.matches ? '✓' : '⚠'} ${escapeHTML(file.name)}: ${file.rows.toLocaleString()} row(s)${notes.length ? ` (${escapeHTML(notes.join('; '))})` : ''}
+      </div>`;
+    }).join('');
+    return html;
+  }
+
+  async function runCombine() {
+    if (!combined) return;
+    if (combined.text !== null && inputEl.value !== combined.text
+      && !confirm('The text was edited after the files were combined. Combine them again and lose those edits?')) return;
+    let result;
+    try {
+      result = await csvWorker.run('concatenate', {
+        tables: combined.tables,
+        overrides: getHeaderOverrides(),
+        options: {
+          columns: combineColumnsEl.value,
+          sourceColumn: combineSourceEl.checked ? combineSourceNameEl.value.trim() || 'source_file' : ''
+        }
+      }, showProgress);
+    } catch (err) {
+      alert("Failed to combine files: " + (err && err.message ? err.message : String(err)));
+      return;
+    } finally {
+      hideProgress();
+    }
+    if (!result || !combined) return;
+    combineListEl.innerHTML = renderCombinedFiles(result);
+    inputEl.value = result.text;
+    combined.text = inputEl.value;
+    inputEl.scrollTop = 0;
+    performValidation();
+  }
+
+  async function combineFiles(files) {
+    const size = files.reduce((total, file) => total + file.size, 0);
+    if (size >= FILE_MODE_MIN_BYTES) {
+      alert(`These files are too big to combine in the editor (${formatFileSize(size)} together). Upload them one at a time instead.`);
+      return;
+    }
+    let tables;
+    try {
+      tables = await Promise.all(files.map(async (file) => {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        return { name: file.name, text: decodeBytes(bytes, detectEncoding(bytes).encoding) };
+      }));
+    } catch (err) {
+      alert("Failed to read file: " + (err && err.message ? err.message : String(err)));
+      return;
+    }
+    if (fileModeFile) exitFileMode();
+    upload = null;
+    uploadEncodingEl.classList.add('is-hidden');
+    encodingPreviewEl.classList.add('is-hidden');
+    hideImportNotice();
+    selectedFilenameEl.textContent = `${files.length} files`;
+    filenameEl.value = ensureExtension('combined', EXPORT_FORMATS[getExportFormat()].extension);
+    renameDocument(session.activeId, `Combined (${files.length} files)`);
+    combined = { tables, text: null };
+    combinePanelEl.classList.remove('is-hidden');
+    await runCombine();
+  }
+
+  function closeCombinePanel() {
+    combined = null;
+    combinePanelEl.classList.add('is-hidden');
+  }
+
+  combineColumnsEl.addEventListener('change', runCombine);
+  combineSourceEl.addEventListener('change', runCombine);
+  combineSourceNameEl.addEventListener('change', () => {
+    if (combineSourceEl.checked) runCombine();
+  });
+  document.getElementById('closeCombine').addEventListener('click', closeCombinePanel);
+
+  // CSV upload → show as text; several files at once are combined
+  async function openFiles(files) {
+    if (files.length > 1) {
+      await combineFiles(files);
+      return;
+    }
+    const file = files[0];
     if (!file) {
       selectedFilenameEl.textContent = 'No file chosen';
       return;
     }
     try {
-      const text = await file.text(); // UTF-8, BOM handled by browser
-      // Show raw text to user; do not normalize automatically
-      inputEl.value = text;
+      closeCombinePanel();
       // Suggest filename based on uploaded file
-      filenameEl.value = ensureCsvExtension(file.name);
+      filenameEl.value = ensureExtension(file.name, EXPORT_FORMATS[getExportFormat()].extension);
       selectedFilenameEl.textContent = file.name; // Update the displayed filename
-      // Move caret to start for visibility
-      inputEl.scrollTop = 0;
-      // Validate the uploaded content
-      performValidation();
+      
+      if (file.size >= FILE_MODE_MIN_BYTES) {
+        enterFileMode(file);
+        return;
+      }
+      if (fileModeFile) exitFileMode();
+      
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      const detected = detectEncoding(bytes);
+      showUploadEncoding(detected);
+      await loadUploadedText(decodeBytes(bytes, detected.encoding));
+      upload = { bytes, encoding: detected.encoding, text: inputEl.value };
+      renameDocument(session.activeId, file.name);
     } catch (err) {
       alert("Failed to read file: " + (err && err.message ? err.message : String(err)));
-    } finally {
-      // Allow re-selecting same file
-      e.target.value = "";
     }
+  }
+
+  fileInputEl.addEventListener("change", async (e) => {
+    await openFiles(Array.from(e.target.files || []));
+    // Allow re-selecting same file
+    e.target.value = "";
   });
 
+  // Files dropped on the editor or the upload area open as if uploaded
+  for (const zone of [document.querySelector('.editor-container'), document.querySelector('.file-upload-area')]) {
+    zone.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      zone.classList.add('is-dragover');
+    });
+    zone.addEventListener('dragleave', (e) => {
+      if (!zone.contains(e.relatedTarget)) zone.classList.remove('is-dragover');
+    });
+    zone.addEventListener('drop', (e) => {
+      zone.classList.remove('is-dragover');
+      const files = e.dataTransfer ? Array.from(e.dataTransfer.files) : [];
+      if (!files.length) return;
+      e.preventDefault();
+      openFiles(files);
+    });
+  }
+
   // Minor: Keep filename valid as user types (avoid illegal Windows chars)
   filenameEl.addEventListener("input", () => {
     const cleaned = filenameEl.value.replace(/[\\/:*?"<>|]/g, "-");
     if (cleaned !== filenameEl.value) filenameEl.value = cleaned;
   });
+
+  // Documents and autosave: every tab is a document with its own text,
+  // filename, dialect and schema; the options are shared. The session is
+  // kept in localStorage only (nothing leaves the browser) and saved every
+  // AUTOSAVE_INTERVAL_MS and when the page is hidden. Files in file mode
+  // stay on disk and are not saved.
+  const documentTabsEl = document.getElementById('documentTabs');
+  const autosaveStatusEl = document.getElementById('autosaveStatus');
+  let session = null; // { activeId, documents, options }
+  let lastSavedSession = null;
+  let sessionCleared = false;
+
+  function createDocument(name, text = '') {
+    return {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      name,
+      text,
+      filename: 'export.csv',
+      dialect: { delimiter: 'auto', quote: 'auto', header: 'auto' },
+      schema: { columns: [] },
+      schemaEnabled: false
+    };
+  }
+
+  function getActiveDocument() {
+    return session.documents.find(doc => doc.id === session.activeId);
+  }
+
+  // Copy the editor and the shared options into the session
+  function captureSession() {
+    const doc = getActiveDocument();
+    // In file mode the editor is empty; the tab keeps the text it had before
+    if (!fileModeFile) {
+      doc.text = inputEl.value;
+      doc.filename = filenameEl.value;
+    }
+    doc.dialect = { delimiter: delimiterSelectEl.value, quote: quoteSelectEl.value, header: headerSelectEl.value };
+    doc.schema = currentSchema;
+    doc.schemaEnabled = schemaEnabledEl.checked;
+    const controls = {};
+    for (const id of SESSION_OPTION_CONTROLS) {
+      const el = document.getElementById(id);
+      controls[id] = el.type === 'checkbox' ? el.checked : el.value;
+    }
+    session.options = { controls, pipeline: getCleanupPipeline() };
+  }
+
+  function saveSession() {
+    if (!session || sessionCleared) return;
+    captureSession();
+    const json = JSON.stringify(session);
+    if (json === lastSavedSession) return;
+    try {
+      localStorage.setItem(SESSION_KEY, json);
+      lastSavedSession = json;
+      autosaveStatusEl.textContent = `Saved in this browser at ${new Date().toLocaleTimeString()}`;
+    } catch (err) {
+      autosaveStatusEl.textContent = 'Not saved: too big for this browser\'s local storage';
+    }
+  }
+
+  // Put a document in the editor, leaving file mode and any upload behind
+  function showDocument(doc) {
+    if (fileModeFile) exitFileMode();
+    closeCombinePanel();
+    upload = null;
+    uploadEncodingEl.classList.add('is-hidden');
+    encodingPreviewEl.classList.add('is-hidden');
+    selectedFilenameEl.textContent = 'No file chosen';
+    clearCleanupHistory();
+    inputEl.value = doc.text;
+    filenameEl.value = doc.filename;
+    delimiterSelectEl.value = doc.dialect.delimiter;
+    quoteSelectEl.value = doc.dialect.quote;
+    headerSelectEl.value = doc.dialect.header;
+    currentSchema = doc.schema && Array.isArray(doc.schema.columns) ? doc.schema : { columns: [] };
+    schemaEnabledEl.checked = !!doc.schemaEnabled;
+    renderSchemaColumns();
+    inputEl.scrollTop = 0;
+    performValidation();
+  }
+
+  function renderDocumentTabs() {
+    documentTabsEl.innerHTML = session.documents.map(doc => {
+      const active = doc.id === session.activeId;
+      return `<span class="document-tab${active ? ' is-active' : ''}">
+        <button type="button" role="tab" aria-selected="${active}" data-document-id="${doc.id}" title="Double-click to rename">${escapeHTML(doc.name)}</button>
+        <button type="button" class="document-tab-close" data-close-document="${doc.id}" aria-label="Close ${escapeHTML(doc.name)}">✕</button>
+      </span>`;
+    }).join('');
+  }
+
+  function switchDocument(id) {
+    if (id === session.activeId) return;
+    captureSession();
+    session.activeId = id;
+    showDocument(getActiveDocument());
+    renderDocumentTabs();
+    saveSession();
+  }
+
+  function renameDocument(id, name) {
+    const doc = session.documents.find(item => item.id === id);
+    if (!doc || !name || !name.trim()) return;
+    doc.name = name.trim();
+    renderDocumentTabs();
+  }
+
+  function closeDocument(id) {
+    const index = session.documents.findIndex(doc => doc.id === id);
+    const doc = session.documents[index];
+    // The editor is empty in file mode; the tab's text is still its own
+    const text = id === session.activeId && !fileModeFile ? inputEl.value : doc.text;
+    if (text.trim() && !confirm(`Close "${doc.name}"? Its text is removed from this browser.`)) return;
+    session.documents.splice(index, 1);
+    if (session.documents.length === 0) session.documents.push(createDocument('Document 1'));
+    if (id === session.activeId) {
+      session.activeId = session.documents[Math.min(index, session.documents.length - 1)].id;
+      showDocument(getActiveDocument());
+    }
+    renderDocumentTabs();
+    saveSession();
+  }
+
+  documentTabsEl.addEventListener('click', (e) => {
+    const closeBtn = e.target.closest('[data-close-document]');
+    if (closeBtn) {
+      closeDocument(closeBtn.dataset.closeDocument);
+      return;
+    }
+    const tab = e.target.closest('[data-document-id]');
+    if (tab) switchDocument(tab.dataset.documentId);
+  });
+
+  documentTabsEl.addEventListener('dblclick', (e) => {
+    const tab = e.target.closest('[data-document-id]');
+    if (!tab) return;
+    const doc = session.documents.find(item => item.id === tab.dataset.documentId);
+    renameDocument(doc.id, prompt('Document name', doc.name));
+    saveSession();
+  });
+
+  document.getElementById('newDocumentBtn').addEventListener('click', () => {
+    const doc = createDocument(`Document ${session.documents.length + 1}`);
+    session.documents.push(doc);
+    switchDocument(doc.id);
+    inputEl.focus();
+  });
+
+  document.getElementById('clearLocalDataBtn').addEventListener('click', () => {
+    if (!confirm('Delete the documents, options and cleanup presets saved in this browser and start over with an empty page?')) return;
+    sessionCleared = true;
+    localStorage.removeItem(SESSION_KEY);
+    localStorage.removeItem(CLEANUP_PRESETS_KEY);
+    location.reload();
+  });
+
+  // Restore the saved session, or start one with the page as it is
+  function restoreSession() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(SESSION_KEY));
+    } catch (err) {
+      saved = null;
+    }
+    if (!saved || !Array.isArray(saved.documents) || !saved.documents.length) {
+      const doc = createDocument('Document 1', inputEl.value);
+      session = { activeId: doc.id, documents: [doc], options: null };
+      renderDocumentTabs();
+      return;
+    }
+
+    session = saved;
+    if (!getActiveDocument()) session.activeId = session.documents[0].id;
+    const options = session.options || {};
+    for (const [id, value] of Object.entries(options.controls || {})) {
+      const el = SESSION_OPTION_CONTROLS.includes(id) && document.getElementById(id);
+      if (!el) continue;
+      if (el.type === 'checkbox') el.checked = !!value;
+      else el.value = value;
+    }
+    if (options.pipeline) {
+      currentPipeline = createCleanupPipeline(options.pipeline);
+      renderPipeline();
+    }
+    syncExportFormat();
+    showDocument(getActiveDocument());
+    renderDocumentTabs();
+    lastSavedSession = JSON.stringify(session);
+  }
+
+  restoreSession();
+  setInterval(saveSession, AUTOSAVE_INTERVAL_MS);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') saveSession();
+  });
+  window.addEventListener('pagehide', saveSession);
 });
\ No newline at end of file
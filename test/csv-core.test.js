@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_DIALECT, fixSmartQuotes, parseCSV, CSV_JOBS } = require('../csv-core.js');
+
+const values = text => parseCSV(text, DEFAULT_DIALECT).records
+  .filter(record => !record.isEmpty)
+  .map(record => record.fields.map(field => field.value));
+
+test('fixSmartQuotes turns curly quotes inside cells into cell text, not CSV quoting', () => {
+  const text = 'id,note\r\n1,He said “hi” there\r\n2,“A, B”\r\n3,plain';
+  assert.deepStrictEqual(values(fixSmartQuotes(text)), [
+    ['id', 'note'],
+    ['1', 'He said "hi" there'],
+    ['2', '"A', ' B"'],
+    ['3', 'plain']
+  ]);
+});
+
+test('file mode fixes smart quotes in the parsed values', async () => {
+  const text = 'id,note\r\n1,He said “hi” there\r\n2,“A, B”\r\n';
+  const result = await CSV_JOBS.cleanFile({
+    file: new Blob([text]),
+    dialect: DEFAULT_DIALECT,
+    pipeline: { steps: [{ name: 'fixSmartQuotes', enabled: true }] }
+  });
+  assert.deepStrictEqual(values(await result.blob.text()), [
+    ['id', 'note'],
+    ['1', 'He said "hi" there'],
+    ['2', '"A', ' B"']
+  ]);
+});